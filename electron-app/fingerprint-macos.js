@@ -7,7 +7,7 @@
  * Supports: U20, U10, FDU04, HAMSTER_PRO
  */
 
-const usb = require('usb');
+const usb = require('./usb-driver');
 const crypto = require('crypto');
 
 // SecuGen USB identifiers
@@ -65,6 +65,7 @@ class SecuGenScanner {
     this.maxReconnectAttempts = 5;
     this.eventHandlers = {};
     this.productName = null;
+    this.serialNumber = null;
     this.imageConfig = DEVICE_CONFIG.DEFAULT;
     this.useControlTransfer = false;
 
@@ -205,6 +206,7 @@ class SecuGenScanner {
 
       // Initialize device
       await this.initializeDevice();
+      this.serialNumber = await this.getSerialNumber();
 
       const result = {
         success: true,
@@ -212,7 +214,7 @@ class SecuGenScanner {
           vendorId: `0x${this.device.deviceDescriptor.idVendor.toString(16)}`,
           productId: `0x${this.device.deviceDescriptor.idProduct.toString(16)}`,
           productName: this.productName,
-          serialNumber: await this.getSerialNumber(),
+          serialNumber: this.serialNumber,
           communicationMode: this.useControlTransfer ? 'control' : 'bulk'
         }
       };
@@ -470,7 +472,7 @@ class SecuGenScanner {
 
       // Capture image
       console.log('[FINGERPRINT] Capturing image...');
-      const imageData = await this.captureImage();
+      const { imageData, source: captureSource } = await this.captureImage();
 
       // Process image and calculate quality
       const quality = this.calculateQuality(imageData);
@@ -492,6 +494,7 @@ class SecuGenScanner {
         quality: quality,
         width: this.imageConfig.width,
         height: this.imageConfig.height,
+        captureSource,
         timestamp: Date.now()
       };
 
@@ -510,7 +513,8 @@ class SecuGenScanner {
   }
 
   /**
-   * Capture raw image from sensor
+   * Capture raw image from sensor. Returns { imageData, source } where source
+   * is 'hardware-bulk', 'hardware-control' or 'synthetic'.
    */
   async captureImage() {
     const imageSize = this.imageConfig.width * this.imageConfig.height;
@@ -554,7 +558,7 @@ class SecuGenScanner {
           const imageData = Buffer.concat(chunks);
           // Trim or pad to exact size
           if (imageData.length >= imageSize) {
-            return imageData.slice(0, imageSize);
+            return { imageData: imageData.slice(0, imageSize), source: 'hardware-bulk' };
           }
         }
       } catch (error) {
@@ -597,7 +601,7 @@ class SecuGenScanner {
 
       if (bytesRead > 1000) {
         console.log(`[FINGERPRINT] Read ${bytesRead} bytes via control transfer`);
-        return Buffer.concat(chunks);
+        return { imageData: Buffer.concat(chunks), source: 'hardware-control' };
       }
     } catch (error) {
       console.log('[FINGERPRINT] Control transfer capture failed:', error.message);
@@ -606,7 +610,7 @@ class SecuGenScanner {
     // Fallback: Generate synthetic fingerprint for demo/testing
     console.log('[FINGERPRINT] Using synthetic fingerprint (hardware capture not available)');
     console.log('[FINGERPRINT] NOTE: SecuGen HAMSTER_PRO requires official SDK for real capture on macOS');
-    return this.generateSyntheticFingerprint();
+    return { imageData: this.generateSyntheticFingerprint(), source: 'synthetic' };
   }
 
   /**
@@ -926,6 +930,7 @@ class SecuGenScanner {
         vendorId: `0x${this.device.deviceDescriptor.idVendor.toString(16)}`,
         productId: `0x${this.device.deviceDescriptor.idProduct.toString(16)}`,
         productName: this.productName,
+        serialNumber: this.serialNumber,
         communicationMode: this.useControlTransfer ? 'control' : 'bulk'
       } : null
     };
@@ -966,6 +971,7 @@ class SecuGenScanner {
     this.outEndpoint = null;
     this.isConnected = false;
     this.productName = null;
+    this.serialNumber = null;
 
     this.emit('disconnected', {});
     console.log('[FINGERPRINT] Disconnected');
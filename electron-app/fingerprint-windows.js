@@ -24,6 +24,7 @@ class FingerprintScannerWindows {
     this.isConnected = false;
     this.isCapturing = false;
     this.deviceInfo = null;
+    this.captureSource = null;
     this.device = null;
     this.usbLib = null;
     this.serverUrl = 'http://localhost:3001'; // Backend server with SDK
@@ -359,6 +360,7 @@ class FingerprintScannerWindows {
         width: IMAGE_WIDTH,
         height: IMAGE_HEIGHT,
         quality: quality,
+        captureSource: this.captureSource,
         timestamp: Date.now(),
         requiresServerProcessing: true, // Tell frontend this needs server processing
         message: 'Raw image captured. Send to server for template generation.'
@@ -398,6 +400,8 @@ class FingerprintScannerWindows {
         // Use default endpoint
       }
 
+      this.captureSource = inEndpoint ? 'hardware-bulk' : 'hardware-control';
+
       if (!inEndpoint) {
         // Try control transfer method instead
         this.captureViaControlTransfer(timeout)
@@ -579,9 +583,9 @@ class FingerprintScannerWindows {
 
   /**
    * Match templates - delegates to server
-   * This function sends templates to server which has the SDK
+   * Synchronous, returning { match, score } like the macOS scanner's match()
    */
-  async match(template1, template2) {
+  match(template1, template2) {
     // Matching must be done on server which has the SDK
     // This is just a stub that informs the caller
     return {
@@ -253,6 +253,7 @@ class FingerprintScanner {
         quality: quality,
         width: this.imageConfig.width,
         height: this.imageConfig.height,
+        captureSource: 'synthetic',
         timestamp: Date.now()
       };
 
@@ -429,36 +430,17 @@ class FingerprintScanner {
   }
 
   /**
-   * Match two templates
+   * Match templates - delegates to server
+   * Matching is done by the server's matcher engine, never in the bridge.
+   * Synchronous, returning { match, score } like the macOS scanner's match().
    */
   match(template1, template2) {
-    try {
-      const t1 = Buffer.isBuffer(template1) ? template1 : Buffer.from(template1, 'base64');
-      const t2 = Buffer.isBuffer(template2) ? template2 : Buffer.from(template2, 'base64');
-
-      if (t1.length < 20 || t2.length < 20) {
-        return { match: false, score: 0, error: 'Invalid template' };
-      }
-
-      // Simple hash comparison for demo
-      const hash1 = crypto.createHash('md5').update(t1).digest('hex');
-      const hash2 = crypto.createHash('md5').update(t2).digest('hex');
-
-      let matchingChars = 0;
-      for (let i = 0; i < hash1.length; i++) {
-        if (hash1[i] === hash2[i]) matchingChars++;
-      }
-
-      const score = Math.round((matchingChars / hash1.length) * 100);
-
-      return {
-        match: score >= 60,
-        score: score
-      };
-
-    } catch (error) {
-      return { match: false, score: 0, error: error.message };
-    }
+    return {
+      match: false,
+      score: 0,
+      error: 'Template matching must be done on server. Use /api/scanner/match endpoint.',
+      requiresServer: true
+    };
   }
 }
 
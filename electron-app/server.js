@@ -14,9 +14,13 @@ const os = require('os');
 const fs = require('fs');
 const path = require('path');
 
-// Use Windows-specific module on Windows, generic on other platforms
+// Use Windows-specific module on Windows, generic on other platforms.
+// SCANNER_DRIVER=simulator runs the generic module against virtual scanners
+// on any platform.
 let scanner;
-if (os.platform() === 'win32') {
+if (process.env.SCANNER_DRIVER === 'simulator') {
+  scanner = require('./fingerprint-macos');
+} else if (os.platform() === 'win32') {
   scanner = require('./fingerprint-windows');
 } else {
   // Try to load the full USB module, fall back to simple version
@@ -74,6 +78,15 @@ function saveConfig(config) {
 let config = loadConfig();
 let backendServerUrl = config.backendServerUrl;
 
+/**
+ * Serial number of the attached scanner, sent to the backend for device binding
+ */
+function scannerSerial() {
+  const info = scanner.getStatus().deviceInfo || {};
+  const serial = info.serialNumber || info.serial;
+  return serial && serial !== 'N/A' ? serial : null;
+}
+
 function createApp() {
   const app = express();
 
@@ -200,7 +213,9 @@ function createApp() {
             image: result.image,
             width: result.width,
             height: result.height,
-            quality: result.quality
+            quality: result.quality,
+            captureSource: result.captureSource,
+            deviceSerial: scannerSerial()
           });
 
           res.json({
@@ -250,7 +265,9 @@ function createApp() {
         height: captureResult.height,
         quality: captureResult.quality,
         patientId: req.body.patientId,
-        fingerIndex: req.body.fingerIndex
+        fingerIndex: req.body.fingerIndex,
+        captureSource: captureResult.captureSource,
+        deviceSerial: scannerSerial()
       });
 
       res.json({
@@ -270,7 +287,7 @@ function createApp() {
   // Match templates - forwards to backend server
   app.post('/scanner/match', async (req, res) => {
     try {
-      const { template1, template2 } = req.body;
+      const { template1, template2, securityLevel } = req.body;
 
       if (!template1 || !template2) {
         return res.status(400).json({
@@ -282,7 +299,8 @@ function createApp() {
       // Forward to backend server for matching (server has SDK)
       const result = await forwardToBackend('/api/scanner/match', {
         template1,
-        template2
+        template2,
+        securityLevel
       });
 
       res.json(result);
@@ -323,7 +341,10 @@ function createApp() {
         fingerIndex: fingerIndex || 0,
         image: captureResult.image,
         width: captureResult.width,
-        height: captureResult.height
+        height: captureResult.height,
+        securityLevel: req.body.securityLevel,
+        captureSource: captureResult.captureSource,
+        deviceSerial: scannerSerial()
       });
 
       res.json({
@@ -340,6 +361,44 @@ function createApp() {
     }
   });
 
+  // Identify fingerprint (1:N) - forwards to backend
+  app.post('/scanner/identify', async (req, res) => {
+    try {
+      // Capture fingerprint
+      const captureResult = await scanner.capture({
+        timeout: req.body.timeout || 10000,
+        minQuality: req.body.minQuality || 40
+      });
+
+      if (!captureResult.success) {
+        return res.status(400).json(captureResult);
+      }
+
+      // Send to backend for ranked candidate search
+      const identifyResult = await forwardToBackend('/api/scanner/identify', {
+        image: captureResult.image,
+        width: captureResult.width,
+        height: captureResult.height,
+        limit: req.body.limit,
+        securityLevel: req.body.securityLevel,
+        captureSource: captureResult.captureSource,
+        deviceSerial: scannerSerial()
+      });
+
+      res.json({
+        success: true,
+        capture: captureResult,
+        identification: identifyResult
+      });
+
+    } catch (err) {
+      res.status(400).json({
+        success: false,
+        error: err.message
+      });
+    }
+  });
+
   // Enroll fingerprint - forwards to backend
   app.post('/scanner/enroll', async (req, res) => {
     try {
@@ -369,7 +428,9 @@ function createApp() {
         image: captureResult.image,
         width: captureResult.width,
         height: captureResult.height,
-        quality: captureResult.quality
+        quality: captureResult.quality,
+        captureSource: captureResult.captureSource,
+        deviceSerial: scannerSerial()
       });
 
       res.json({
@@ -0,0 +1,22 @@
+/**
+ * USB driver for the scanner module
+ *
+ * libusb, or with SCANNER_DRIVER=simulator the server's virtual scanners
+ * (src/simulator.js), so the service runs without a scanner attached. The
+ * simulator ships with the server, not the app: it is only available when
+ * running from a checkout of the repository (npm start).
+ */
+
+let driver;
+if (process.env.SCANNER_DRIVER === 'simulator') {
+  try {
+    driver = require('../src/simulator');
+  } catch (e) {
+    throw new Error(`SCANNER_DRIVER=simulator needs the server sources next to the app (../src/simulator.js): ${e.message}`);
+  }
+  console.log('[USB] Using scanner simulator (SCANNER_DRIVER=simulator)');
+} else {
+  driver = require('usb');
+}
+
+module.exports = driver;
@@ -0,0 +1,190 @@
+/**
+ * Server configuration
+ *
+ * Values come from environment variables (see README) with production-safe defaults.
+ */
+
+const path = require('path');
+
+// Named security levels and their minimum match scores (0-100)
+const DEFAULT_SECURITY_LEVELS = {
+  LOW: 40,
+  NORMAL: 60,
+  HIGH: 70,
+  HIGHEST: 80
+};
+
+// Numeric levels sent by the Electron UI (Settings > Security Level)
+const SECURITY_LEVEL_ALIASES = {
+  1: 'LOW',
+  2: 'LOW',
+  3: 'NORMAL',
+  4: 'HIGH',
+  5: 'HIGHEST'
+};
+
+// How captures from scanners missing from the site allowlist are handled
+const SCANNER_ALLOWLIST_MODES = ['off', 'flag', 'enforce'];
+
+// USB backends: real hardware through libusb, virtual scanners, or a
+// recorded session played back
+const SCANNER_DRIVERS = ['usb', 'simulator', 'replay'];
+
+/**
+ * Parse a boolean environment variable ("true"/"1"/"yes")
+ */
+function parseFlag(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return ['true', '1', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Parse the WSQ bit rate (bits per pixel); lower compresses harder
+ */
+function parseBitrate(value) {
+  if (value === undefined || value === '') return 0.75;
+  const bitrate = Number(value);
+  if (Number.isFinite(bitrate) && bitrate > 0 && bitrate <= 8) return bitrate;
+  console.warn(`[CONFIG] Invalid WSQ_BITRATE "${value}", using 0.75`);
+  return 0.75;
+}
+
+/**
+ * Parse a 0-100 quality score
+ */
+function parseQuality(name, value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const quality = Number(value);
+  if (Number.isInteger(quality) && quality >= 0 && quality <= 100) return quality;
+  console.warn(`[CONFIG] Invalid ${name} "${value}", using ${fallback}`);
+  return fallback;
+}
+
+/**
+ * Parse a non-negative integer (a count or a delay in ms)
+ */
+function parseCount(name, value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const count = Number(value);
+  if (Number.isInteger(count) && count >= 0) return count;
+  console.warn(`[CONFIG] Invalid ${name} "${value}", using ${fallback}`);
+  return fallback;
+}
+
+/**
+ * Parse a fraction from 0 to 1
+ */
+function parseFraction(name, value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const fraction = Number(value);
+  if (Number.isFinite(fraction) && fraction >= 0 && fraction <= 1) return fraction;
+  console.warn(`[CONFIG] Invalid ${name} "${value}", using ${fallback}`);
+  return fallback;
+}
+
+/**
+ * Parse threshold overrides such as "HIGH:75,HIGHEST:85"
+ */
+function parseSecurityLevels(value) {
+  const levels = { ...DEFAULT_SECURITY_LEVELS };
+  if (!value) return levels;
+
+  for (const entry of value.split(',')) {
+    const [name, threshold] = entry.split(':').map(part => part.trim());
+    const score = Number(threshold);
+    if (name && Number.isFinite(score) && score >= 0 && score <= 100) {
+      levels[name.toUpperCase()] = score;
+    } else {
+      console.warn(`[CONFIG] Ignoring invalid security level entry: "${entry}"`);
+    }
+  }
+
+  return levels;
+}
+
+const config = {
+  securityLevels: parseSecurityLevels(process.env.SECURITY_LEVEL_THRESHOLDS),
+  securityLevelAliases: SECURITY_LEVEL_ALIASES,
+  defaultSecurityLevel: (process.env.SECURITY_LEVEL || 'NORMAL').toUpperCase(),
+  duplicateSecurityLevel: (process.env.DUPLICATE_SECURITY_LEVEL || 'HIGH').toUpperCase(),
+  // Minimum image quality for enrollment; a request may ask for more, not less
+  enrollMinQuality: parseQuality('ENROLL_MIN_QUALITY', process.env.ENROLL_MIN_QUALITY, 50),
+  databasePath: process.env.DATABASE_PATH || path.join(__dirname, '..', 'fingerprint_auth.db'),
+  siteId: process.env.SITE_ID || 'default',
+  scannerAllowlist: (process.env.SCANNER_ALLOWLIST || 'off').toLowerCase(),
+  scannerDriver: (process.env.SCANNER_DRIVER || 'usb').toLowerCase(),
+  // Demo mode accepts synthetic fingerprints at enrollment and verification
+  demoMode: parseFlag(process.env.DEMO_MODE, false),
+  usbRecordFile: process.env.USB_RECORD_FILE || null,
+  usbReplayFile: process.env.USB_REPLAY_FILE || null,
+  recordingsDir: process.env.USB_RECORDINGS_DIR || path.join(__dirname, '..', 'recordings'),
+  // WSQ compression of fingerprint images: 0.75 bits per pixel is about 15:1
+  wsqBitrate: parseBitrate(process.env.WSQ_BITRATE),
+  // Keep enrollment images (as WSQ) so templates can be re-extracted later
+  archiveEnrollmentImages: parseFlag(process.env.ARCHIVE_ENROLLMENT_IMAGES, false),
+  retemplateOnStartup: parseFlag(process.env.RETEMPLATE_ON_STARTUP, false),
+  // Template extraction and matching engine (see engines/), and an optional
+  // second engine scored alongside it on 1:1 verifications for A/B comparison
+  matcherEngine: (process.env.MATCHER_ENGINE || 'minutiae').toLowerCase(),
+  matcherCompareEngine: (process.env.MATCHER_COMPARE_ENGINE || '').toLowerCase() || null,
+  // Share of verifications scored by the comparison engine too
+  matcherCompareRate: parseFraction('MATCHER_COMPARE_RATE', process.env.MATCHER_COMPARE_RATE, 0.1),
+  // Backoff for reconnecting a scanner that dropped off or was re-attached
+  reconnect: {
+    maxAttempts: parseCount('RECONNECT_MAX_ATTEMPTS', process.env.RECONNECT_MAX_ATTEMPTS, 5),
+    baseDelay: parseCount('RECONNECT_BASE_DELAY_MS', process.env.RECONNECT_BASE_DELAY_MS, 1000),
+    maxDelay: parseCount('RECONNECT_MAX_DELAY_MS', process.env.RECONNECT_MAX_DELAY_MS, 30000)
+  },
+  simulator: {
+    devices: process.env.SIMULATOR_DEVICES || '1',
+    seed: process.env.SIMULATOR_SEED || 'secugen-simulator',
+    identities: parseInt(process.env.SIMULATOR_IDENTITIES) || 10,
+    finger: process.env.SIMULATOR_FINGER || null
+  }
+};
+
+for (const key of ['defaultSecurityLevel', 'duplicateSecurityLevel']) {
+  if (!(config[key] in config.securityLevels)) {
+    console.warn(`[CONFIG] Unknown security level "${config[key]}" for ${key}, using NORMAL`);
+    config[key] = 'NORMAL';
+  }
+}
+
+if (!SCANNER_ALLOWLIST_MODES.includes(config.scannerAllowlist)) {
+  console.warn(`[CONFIG] Unknown SCANNER_ALLOWLIST mode "${config.scannerAllowlist}", using flag`);
+  config.scannerAllowlist = 'flag';
+}
+
+// Strict capture (no synthetic fallback) is on in production unless demoing
+config.strictCapture = parseFlag(
+  process.env.CAPTURE_STRICT,
+  process.env.NODE_ENV === 'production' && !config.demoMode
+);
+
+// USB recordings hold raw fingerprint images in plain text, so they are a
+// debugging aid only: never in production or with strict capture
+config.usbRecordingAllowed = process.env.NODE_ENV !== 'production' && !config.strictCapture;
+
+if (!SCANNER_DRIVERS.includes(config.scannerDriver)) {
+  console.warn(`[CONFIG] Unknown SCANNER_DRIVER "${config.scannerDriver}", using usb`);
+  config.scannerDriver = 'usb';
+}
+
+/**
+ * Resolve a caller-supplied security level (name or UI number).
+ * Returns { level, threshold }, or null if the level is unknown.
+ */
+config.resolveSecurityLevel = function (value) {
+  if (value === undefined || value === null || value === '') {
+    value = config.defaultSecurityLevel;
+  }
+
+  const name = config.securityLevelAliases[value] || String(value).trim().toUpperCase();
+  if (!(name in config.securityLevels)) {
+    return null;
+  }
+
+  return { level: name, threshold: config.securityLevels[name] };
+};
+
+module.exports = config;
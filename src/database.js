@@ -1,7 +1,10 @@
 const Database = require('better-sqlite3');
-const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
 
-const db = new Database(path.join(__dirname, '..', 'fingerprint_auth.db'));
+const db = new Database(config.databasePath);
+
+db.pragma('foreign_keys = ON');
 
 // Create tables
 db.exec(`
@@ -22,4 +25,199 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_users_employee_id ON users(employee_id);
 `);
 
+// ========== Migrations ==========
+// Each entry runs once, in order, tracked by PRAGMA user_version.
+
+const migrations = [
+  // 1: Multi-finger template storage. finger_index is NULL for templates
+  //    registered before finger positions were recorded.
+  () => {
+    db.exec(`
+      CREATE TABLE fingerprints_new (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        finger_index INTEGER CHECK (finger_index IS NULL OR finger_index BETWEEN 0 AND 9),
+        template BLOB NOT NULL,
+        quality INTEGER,
+        impression_count INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, finger_index)
+      );
+    `);
+
+    // Databases that already had a fingerprints table are rebuilt with the
+    // nullable finger index and the (user_id, finger_index) constraint
+    const existing = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'fingerprints'").get();
+    if (existing) {
+      db.exec(`
+        INSERT INTO fingerprints_new (id, user_id, finger_index, template, quality, created_at)
+        SELECT id, user_id, finger_index, template, quality, created_at FROM fingerprints;
+
+        DROP TABLE fingerprints;
+      `);
+    }
+
+    db.exec(`
+      ALTER TABLE fingerprints_new RENAME TO fingerprints;
+      CREATE INDEX idx_fingerprints_user_id ON fingerprints(user_id);
+    `);
+
+    const legacy = db.prepare(`
+      SELECT id, fingerprint_template, fingerprint_quality, created_at
+      FROM users WHERE fingerprint_template IS NOT NULL
+    `).all();
+
+    const insert = db.prepare(`
+      INSERT INTO fingerprints (id, user_id, finger_index, template, quality, created_at)
+      VALUES (?, ?, NULL, ?, ?, ?)
+    `);
+
+    for (const user of legacy) {
+      insert.run(uuidv4(), user.id, user.fingerprint_template, user.fingerprint_quality, user.created_at);
+    }
+
+    db.prepare('UPDATE users SET fingerprint_template = NULL WHERE fingerprint_template IS NOT NULL').run();
+
+    if (legacy.length > 0) {
+      console.log(`[DATABASE] Moved ${legacy.length} single-template user(s) to fingerprints table`);
+    }
+  },
+
+  // 2: Audit trail for enrollment, verification, identification and matching
+  () => {
+    db.exec(`
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        result TEXT NOT NULL,
+        user_id TEXT,
+        patient_id TEXT,
+        finger_index INTEGER,
+        score INTEGER,
+        security_level TEXT,
+        threshold INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX idx_audit_log_user_id ON audit_log(user_id);
+      CREATE INDEX idx_audit_log_created_at ON audit_log(created_at);
+    `);
+  },
+
+  // 3: Per-scanner settings, keyed by USB serial number
+  () => {
+    db.exec(`
+      CREATE TABLE device_settings (
+        device_id TEXT PRIMARY KEY,
+        brightness INTEGER,
+        gain INTEGER,
+        auto_exposure INTEGER NOT NULL DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  },
+
+  // 4: Approved scanner serials per site, and the scanner behind every
+  //    enrollment and audited result
+  () => {
+    db.exec(`
+      CREATE TABLE approved_scanners (
+        site_id TEXT NOT NULL,
+        serial_number TEXT NOT NULL,
+        label TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (site_id, serial_number)
+      );
+
+      ALTER TABLE fingerprints ADD COLUMN device_serial TEXT;
+      ALTER TABLE audit_log ADD COLUMN device_serial TEXT;
+      ALTER TABLE audit_log ADD COLUMN device_approved INTEGER;
+      CREATE INDEX idx_audit_log_device_serial ON audit_log(device_serial);
+    `);
+  },
+
+  // 5: Archived enrollment images (WSQ) and the algorithm version of each
+  //    template, so templates can be re-extracted when the algorithm
+  //    changes. Re-template jobs stage new templates until they all pass.
+  () => {
+    db.exec(`
+      ALTER TABLE fingerprints ADD COLUMN template_version TEXT;
+      ALTER TABLE fingerprints ADD COLUMN image BLOB;
+
+      CREATE TABLE retemplate_jobs (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        template_version TEXT NOT NULL,
+        total INTEGER NOT NULL,
+        processed INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        applied INTEGER NOT NULL DEFAULT 0,
+        skipped INTEGER NOT NULL DEFAULT 0,
+        failures TEXT,
+        error TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME
+      );
+
+      CREATE TABLE retemplate_staging (
+        job_id TEXT NOT NULL REFERENCES retemplate_jobs(id) ON DELETE CASCADE,
+        fingerprint_id TEXT NOT NULL,
+        previous_template BLOB NOT NULL,
+        template BLOB NOT NULL,
+        PRIMARY KEY (job_id, fingerprint_id)
+      );
+    `);
+  },
+
+  // 6: Scores of the matcher engine and a comparison engine on the same
+  //    verifications (A/B)
+  () => {
+    db.exec(`
+      CREATE TABLE engine_comparisons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT,
+        engine TEXT NOT NULL,
+        score INTEGER NOT NULL,
+        match INTEGER NOT NULL,
+        compare_engine TEXT NOT NULL,
+        compare_score INTEGER NOT NULL,
+        compare_match INTEGER NOT NULL,
+        threshold INTEGER NOT NULL,
+        fingers_compared INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  },
+
+  // 7: Where each template extracted by this server came from (capture
+  //    source and measured quality), by template digest
+  () => {
+    db.exec(`
+      CREATE TABLE template_provenance (
+        digest TEXT PRIMARY KEY,
+        capture_source TEXT,
+        quality INTEGER,
+        device_serial TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX idx_template_provenance_created_at ON template_provenance(created_at);
+    `);
+  }
+];
+
+function migrate() {
+  const version = db.pragma('user_version', { simple: true });
+
+  for (let i = version; i < migrations.length; i++) {
+    db.transaction(() => {
+      migrations[i]();
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+    console.log(`[DATABASE] Applied migration ${i + 1}`);
+  }
+}
+
+migrate();
+
 module.exports = db;
@@ -0,0 +1,93 @@
+/**
+ * Matcher Engines - template extraction and matching behind one interface
+ *
+ * An engine is a module exporting:
+ *
+ *   name                                  registry key (MATCHER_ENGINE)
+ *   version                               '<name>-<n>', stored with every
+ *                                         template it extracts
+ *   extract(imageData, width, height, dpi) -> template Buffer
+ *   validate(template)                    -> template details, or throws
+ *                                            INVALID_TEMPLATE / TEMPLATE_DIGEST_MISMATCH
+ *   match(template1, template2, threshold) -> { match, score, threshold, ... }
+ *   identify(probe, candidates, threshold) -> [{ candidate, match, score, ... }]
+ *                                            highest score first
+ *
+ * and optionally exportTemplate(template, format, options) and
+ * importTemplate(record) for ISO 19794-2 / ANSI 378 exchange.
+ * Scores are 0-100 so security level thresholds apply to every engine.
+ *
+ * Templates belong to the engine that extracted them. After switching
+ * engines, stored templates from the previous one are skipped by matching
+ * until the re-template job has re-extracted them from archived images.
+ */
+
+const config = require('../config');
+
+// Engines are loaded on first use, so an engine's dependencies (an SDK
+// bridge, say) are only needed where it is selected
+const ENGINES = {
+  minutiae: () => require('./minutiae'),
+  neighbours: () => require('./neighbours')
+};
+
+const DEFAULT_ENGINE = 'minutiae';
+
+const REQUIRED_METHODS = ['extract', 'validate', 'match', 'identify'];
+
+function engineError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Load an engine by name, checking that it implements the interface.
+ * Returns null for an unknown name.
+ */
+function getEngine(name) {
+  const load = Object.prototype.hasOwnProperty.call(ENGINES, name) ? ENGINES[name] : null;
+  if (!load) {
+    return null;
+  }
+
+  const engine = load();
+  const missing = REQUIRED_METHODS.filter(method => typeof engine[method] !== 'function');
+  if (missing.length > 0 || engine.name !== name || typeof engine.version !== 'string') {
+    throw engineError('INVALID_ENGINE', `Matcher engine "${name}" does not implement ${missing.join(', ') || 'name / version'}`);
+  }
+  return engine;
+}
+
+/**
+ * Name of the engine a stored template belongs to, from its version: the
+ * engine's version, or just its name for templates that arrived ready-made.
+ * Templates stored before versions were recorded came from the minutiae engine.
+ */
+function engineOfVersion(version) {
+  if (!version) return DEFAULT_ENGINE;
+  return Object.keys(ENGINES).find(name => version === name || version.startsWith(`${name}-`)) || version;
+}
+
+// The engine used for enrollment and matching
+let engine = getEngine(config.matcherEngine);
+if (!engine) {
+  console.warn(`[CONFIG] Unknown MATCHER_ENGINE "${config.matcherEngine}", using ${DEFAULT_ENGINE}`);
+  engine = getEngine(DEFAULT_ENGINE);
+}
+
+// The engine it is compared with (A/B) on 1:1 verifications, if any
+let compareEngine = config.matcherCompareEngine ? getEngine(config.matcherCompareEngine) : null;
+if (config.matcherCompareEngine && (!compareEngine || compareEngine === engine)) {
+  console.warn(`[CONFIG] MATCHER_COMPARE_ENGINE "${config.matcherCompareEngine}" is unknown or already in use, comparison off`);
+  compareEngine = null;
+}
+
+module.exports = {
+  engine,
+  compareEngine,
+  getEngine,
+  engineOfVersion,
+  ENGINE_NAMES: Object.keys(ENGINES),
+  DEFAULT_ENGINE
+};
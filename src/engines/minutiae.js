@@ -0,0 +1,264 @@
+/**
+ * Minutiae Engine - the built-in extractor and matcher (default engine)
+ *
+ * Templates are FMR-style: a 14-byte header (magic, version, minutiae
+ * count, image size and resolution), 6 bytes per minutia and a truncated
+ * SHA-256 digest. Extraction is minutiae.js, matching is matcher.js; the
+ * templates also convert to and from ISO 19794-2 and ANSI 378 records
+ * (template-formats.js).
+ */
+
+const crypto = require('crypto');
+const { extractMinutiae, MINUTIA_TYPE, MAX_MINUTIAE } = require('../minutiae');
+const { matchMinutiae } = require('../matcher');
+const { TEMPLATE_FORMAT, writeRecord, readRecord } = require('../template-formats');
+
+const NAME = 'minutiae';
+
+// Version of the algorithm that turns images into templates. Bump it when a
+// change to extract() leaves stored templates stale; templates with archived
+// images are then re-extracted (retemplate.js). Version 1 was the
+// neighbour-count extractor replaced by ridge analysis.
+const VERSION = 'minutiae-2';
+
+// Template layout: 14-byte header, 6 bytes per minutia, 16-byte digest
+const TEMPLATE_MAGIC = Buffer.from([0x46, 0x4D, 0x52, 0x00]);
+const TEMPLATE_VERSION = Buffer.from([0x20, 0x32, 0x30]);
+const TEMPLATE_HEADER_SIZE = 14;
+const TEMPLATE_MINUTIA_SIZE = 6;
+const TEMPLATE_HASH_SIZE = 16;
+const TEMPLATE_MAX_DIMENSION = 2048;
+
+// Default score (0-100) at which two templates are considered a match
+const DEFAULT_MATCH_THRESHOLD = 60;
+
+// Resolution assumed when the caller does not know it
+const DEFAULT_DPI = 500;
+
+/**
+ * Error for a template that fails validation: INVALID_TEMPLATE when its
+ * structure is wrong, TEMPLATE_DIGEST_MISMATCH when the contents no longer
+ * match the digest. The digest is unkeyed: it detects corruption, not
+ * deliberate changes
+ */
+function templateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Encode minutiae ({ x, y, angle, type }) as a template
+ */
+function buildTemplate(minutiae, width, height, dpi) {
+  // FMR template format header
+  const header = Buffer.from([
+    0x46, 0x4D, 0x52, 0x00,  // "FMR\0"
+    0x20, 0x32, 0x30,        // Version "20"
+    minutiae.length,
+    (width >> 8) & 0xFF, width & 0xFF,
+    (height >> 8) & 0xFF, height & 0xFF,
+    dpi >> 8, dpi & 0xFF
+  ]);
+
+  // Encode minutiae
+  const minutiaeData = Buffer.alloc(minutiae.length * 6);
+  minutiae.forEach((m, i) => {
+    const offset = i * 6;
+    minutiaeData.writeUInt16BE(m.x, offset);
+    minutiaeData.writeUInt16BE(m.y, offset + 2);
+    minutiaeData[offset + 4] = m.angle;
+    minutiaeData[offset + 5] = m.type;
+  });
+
+  const templateData = Buffer.concat([header, minutiaeData]);
+  const hash = crypto.createHash('sha256').update(templateData).digest().slice(0, 16);
+
+  return Buffer.concat([templateData, hash]);
+}
+
+/**
+ * Generate a template from an 8-bit grayscale image
+ */
+function extract(imageData, width, height, dpi = DEFAULT_DPI) {
+  return buildTemplate(extractMinutiae(imageData, width, height), width, height, dpi);
+}
+
+/**
+ * Validate a template from extract(): header magic and version,
+ * dimensions, minutiae count and positions, and the digest.
+ * Returns the header fields, or throws an INVALID_TEMPLATE /
+ * TEMPLATE_DIGEST_MISMATCH error.
+ */
+function validate(template) {
+  if (!Buffer.isBuffer(template) || template.length < TEMPLATE_HEADER_SIZE + TEMPLATE_HASH_SIZE) {
+    throw templateError('INVALID_TEMPLATE', 'Template is truncated');
+  }
+
+  if (!template.slice(0, 4).equals(TEMPLATE_MAGIC)) {
+    throw templateError('INVALID_TEMPLATE', 'Template header is not FMR');
+  }
+
+  if (!template.slice(4, 7).equals(TEMPLATE_VERSION)) {
+    throw templateError('INVALID_TEMPLATE', `Unsupported template version ${template.slice(4, 7).toString('hex')}`);
+  }
+
+  const count = template[7];
+  const width = template.readUInt16BE(8);
+  const height = template.readUInt16BE(10);
+  const dpi = template.readUInt16BE(12);
+
+  if (!width || !height || !dpi || width > TEMPLATE_MAX_DIMENSION || height > TEMPLATE_MAX_DIMENSION) {
+    throw templateError('INVALID_TEMPLATE', `Invalid template dimensions ${width}x${height} at ${dpi} dpi`);
+  }
+
+  if (count > MAX_MINUTIAE) {
+    throw templateError('INVALID_TEMPLATE', `Template has ${count} minutiae (maximum ${MAX_MINUTIAE})`);
+  }
+
+  const dataLength = TEMPLATE_HEADER_SIZE + count * TEMPLATE_MINUTIA_SIZE;
+  if (template.length !== dataLength + TEMPLATE_HASH_SIZE) {
+    throw templateError('INVALID_TEMPLATE', `Template length ${template.length} does not match ${count} minutiae`);
+  }
+
+  for (let i = 0; i < count; i++) {
+    const offset = TEMPLATE_HEADER_SIZE + i * TEMPLATE_MINUTIA_SIZE;
+    const x = template.readUInt16BE(offset);
+    const y = template.readUInt16BE(offset + 2);
+    const type = template[offset + 5];
+    if (x >= width || y >= height || (type !== MINUTIA_TYPE.ENDING && type !== MINUTIA_TYPE.BIFURCATION)) {
+      throw templateError('INVALID_TEMPLATE', `Template minutia ${i} is invalid`);
+    }
+  }
+
+  const digest = crypto.createHash('sha256').update(template.slice(0, dataLength)).digest().slice(0, TEMPLATE_HASH_SIZE);
+  if (!digest.equals(template.slice(dataLength))) {
+    throw templateError('TEMPLATE_DIGEST_MISMATCH', 'Template digest mismatch: the template is corrupted');
+  }
+
+  return { count, width, height, dpi };
+}
+
+/**
+ * Parse minutiae from a template, validating it first
+ */
+function parseMinutiae(template) {
+  const minutiae = [];
+  const { count } = validate(template);
+
+  for (let i = 0; i < count; i++) {
+    const offset = TEMPLATE_HEADER_SIZE + i * TEMPLATE_MINUTIA_SIZE;
+    minutiae.push({
+      x: template.readUInt16BE(offset),
+      y: template.readUInt16BE(offset + 2),
+      angle: template[offset + 4],
+      type: template[offset + 5]
+    });
+  }
+
+  return minutiae;
+}
+
+/**
+ * Parse a template for matching. Corrupt templates are an
+ * error, never a score of 0.
+ */
+function parseForMatch(template) {
+  const buffer = Buffer.isBuffer(template) ? template : Buffer.from(template, 'base64');
+  try {
+    return parseMinutiae(buffer);
+  } catch (error) {
+    console.error(`[FINGERPRINT] Match rejected: ${error.message}`);
+    throw error;
+  }
+}
+
+function scoreMinutiae(probe, candidate, threshold) {
+  const result = matchMinutiae(probe, candidate);
+  return {
+    match: result.score >= threshold,
+    score: result.score,
+    threshold: threshold,
+    matchedMinutiae: result.matchedMinutiae,
+    totalMinutiae: result.totalMinutiae,
+    alignment: result.alignment
+  };
+}
+
+/**
+ * Match two templates, aligning them first (see matcher.js).
+ * Throws if either template fails validate().
+ */
+function match(template1, template2, threshold = DEFAULT_MATCH_THRESHOLD) {
+  return scoreMinutiae(parseForMatch(template1), parseForMatch(template2), threshold);
+}
+
+/**
+ * Score a probe against candidates ({ template, ... }). Returns every
+ * candidate with its match result, highest score first. The probe is
+ * parsed once.
+ */
+function identify(probe, candidates, threshold = DEFAULT_MATCH_THRESHOLD) {
+  const probeMinutiae = parseForMatch(probe);
+  return candidates
+    .map(candidate => ({ candidate, ...scoreMinutiae(probeMinutiae, parseForMatch(candidate.template), threshold) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Convert a template to ISO 19794-2 or ANSI 378 (see template-formats.js).
+ * options: { fingerIndex, quality } for the finger view header.
+ */
+function exportTemplate(template, format, options = {}) {
+  if (format === TEMPLATE_FORMAT.NATIVE) {
+    validate(template);
+    return template;
+  }
+
+  const { width, height, dpi } = validate(template);
+  return writeRecord(format, {
+    width,
+    height,
+    dpi,
+    minutiae: parseMinutiae(template),
+    fingerIndex: options.fingerIndex,
+    quality: options.quality
+  });
+}
+
+/**
+ * Read a template in any supported format (native, ISO 19794-2,
+ * ANSI 378) and return it as a validated native template:
+ * { template, format, fingerIndex, quality }
+ */
+function importTemplate(record) {
+  try {
+    validate(record);
+    return { template: record, format: TEMPLATE_FORMAT.NATIVE, fingerIndex: null, quality: null };
+  } catch (error) {
+    // Standard records have a zero where native templates keep a minutiae
+    // count; a corrupted native template is not retried as a record
+    const standardHeader = Buffer.isBuffer(record) && record.length > 7 && record[7] === 0;
+    if (error.code !== 'INVALID_TEMPLATE' || !standardHeader) {
+      throw error;
+    }
+  }
+
+  const { format, width, height, dpi, minutiae, fingerIndex, quality } = readRecord(record);
+  const template = buildTemplate(minutiae.slice(0, MAX_MINUTIAE), width, height, dpi);
+  validate(template);
+  return { template, format, fingerIndex, quality };
+}
+
+module.exports = {
+  name: NAME,
+  version: VERSION,
+  extract,
+  validate,
+  match,
+  identify,
+  exportTemplate,
+  importTemplate,
+  buildTemplate,
+  parseMinutiae
+};
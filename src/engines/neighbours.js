@@ -0,0 +1,77 @@
+/**
+ * Neighbours Engine - minutiae matched by local structure
+ *
+ * Extraction and templates are those of the minutiae engine; matching is
+ * neighbour-matcher.js, which pairs minutiae by their nearest neighbours
+ * instead of aligning the whole print first. Run it as the comparison
+ * engine (MATCHER_COMPARE_ENGINE=neighbours) to see how the two matchers
+ * score the same verifications before switching.
+ */
+
+const minutiae = require('./minutiae');
+const { matchNeighbourhoods } = require('../neighbour-matcher');
+
+const NAME = 'neighbours';
+
+// Version of the algorithm that turns images into templates. Bump it when a
+// change to extract() leaves stored templates stale (see minutiae.js).
+const VERSION = 'neighbours-1';
+
+// Default score (0-100) at which two templates are considered a match
+const DEFAULT_MATCH_THRESHOLD = 60;
+
+/**
+ * Parse a template for matching. Corrupt templates are an
+ * error, never a score of 0.
+ */
+function parseForMatch(template) {
+  const buffer = Buffer.isBuffer(template) ? template : Buffer.from(template, 'base64');
+  try {
+    return minutiae.parseMinutiae(buffer);
+  } catch (error) {
+    console.error(`[FINGERPRINT] Match rejected: ${error.message}`);
+    throw error;
+  }
+}
+
+function scoreNeighbourhoods(probe, candidate, threshold) {
+  const result = matchNeighbourhoods(probe, candidate);
+  return {
+    match: result.score >= threshold,
+    score: result.score,
+    threshold: threshold,
+    matchedMinutiae: result.matchedMinutiae,
+    totalMinutiae: result.totalMinutiae,
+    alignment: result.alignment
+  };
+}
+
+/**
+ * Match two templates by minutiae neighbourhoods.
+ * Throws if either template fails validate().
+ */
+function match(template1, template2, threshold = DEFAULT_MATCH_THRESHOLD) {
+  return scoreNeighbourhoods(parseForMatch(template1), parseForMatch(template2), threshold);
+}
+
+/**
+ * Score a probe against candidates ({ template, ... }). Returns every
+ * candidate with its match result, highest score first.
+ */
+function identify(probe, candidates, threshold = DEFAULT_MATCH_THRESHOLD) {
+  const probeMinutiae = parseForMatch(probe);
+  return candidates
+    .map(candidate => ({ candidate, ...scoreNeighbourhoods(probeMinutiae, parseForMatch(candidate.template), threshold) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  name: NAME,
+  version: VERSION,
+  extract: minutiae.extract,
+  validate: minutiae.validate,
+  match,
+  identify,
+  exportTemplate: minutiae.exportTemplate,
+  importTemplate: minutiae.importTemplate
+};
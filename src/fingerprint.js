@@ -7,8 +7,9 @@
  * Supports: U20, U10, FDU04, HAMSTER_PRO
  */
 
-const usb = require('usb');
-const crypto = require('crypto');
+const usb = require('./usb');
+const { assessQuality } = require('./quality');
+const { engine } = require('./engines');
 
 // SecuGen USB identifiers
 const SECUGEN_VENDOR_ID = 0x1162;
@@ -50,8 +51,31 @@ const DEVICE_CONFIG = {
   DEFAULT: { width: 260, height: 300, dpi: 500 }
 };
 
+// Where a captured image came from. UPLOADED is an image a client sent to
+// the server, which cannot tell how it was captured.
+const CAPTURE_SOURCE = {
+  BULK: 'hardware-bulk',
+  CONTROL: 'hardware-control',
+  SYNTHETIC: 'synthetic',
+  UPLOADED: 'uploaded'
+};
+
 class SecuGenScanner {
-  constructor() {
+  /**
+   * @param {usb.Device} [usbDevice] - Device to drive. When omitted, connect()
+   *   picks the first SecuGen device on the bus.
+   * @param {Object} [options]
+   * @param {boolean} [options.strict=true] - Fail captures that the hardware
+   *   could not deliver instead of substituting a synthetic image
+   * @param {Object} [options.reconnect] - Reconnect backoff: maxAttempts,
+   *   baseDelay and maxDelay (ms)
+   */
+  constructor(usbDevice = null, options = {}) {
+    this.usbDevice = usbDevice;
+    this.strict = options.strict !== undefined ? options.strict : true;
+    const reconnect = options.reconnect || {};
+    this.serialNumber = null;
+    this.firmwareVersion = null;
     this.device = null;
     this.interface = null;
     this.inEndpoint = null;
@@ -60,9 +84,15 @@ class SecuGenScanner {
     this.isCapturing = false;
     this.brightness = 50;
     this.gain = 50;
+    this.autoExposure = false;
+    this.autoExposureMaxAttempts = 3;
+    this.autoExposureStep = 15;
     this.autoReconnect = true;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
+    this.maxReconnectAttempts = reconnect.maxAttempts !== undefined ? reconnect.maxAttempts : 5;
+    this.reconnectBaseDelay = reconnect.baseDelay !== undefined ? reconnect.baseDelay : 1000;
+    this.reconnectMaxDelay = reconnect.maxDelay !== undefined ? reconnect.maxDelay : 30000;
+    this.reconnectTimer = null;
     this.eventHandlers = {};
     this.productName = null;
     this.imageConfig = DEVICE_CONFIG.DEFAULT;
@@ -87,6 +117,26 @@ class SecuGenScanner {
     }
   }
 
+  /**
+   * Stable identifier: the USB serial number, or the bus/port address
+   * when the device does not report one
+   */
+  get deviceId() {
+    if (this.serialNumber && this.serialNumber !== 'Unknown') {
+      return this.serialNumber;
+    }
+    const device = this.device || this.usbDevice;
+    return device ? `usb-${device.busNumber}-${device.deviceAddress}` : null;
+  }
+
+  /**
+   * Whether this scanner drives the given USB device
+   */
+  owns(device) {
+    const own = this.device || this.usbDevice;
+    return !!own && own.busNumber === device.busNumber && own.deviceAddress === device.deviceAddress;
+  }
+
   /**
    * Find and connect to SecuGen device
    */
@@ -103,6 +153,7 @@ class SecuGenScanner {
       return {
         success: true,
         alreadyConnected: true,
+        deviceId: this.deviceId,
         deviceInfo: {
           vendorId: `0x${this.device.deviceDescriptor.idVendor.toString(16)}`,
           productId: `0x${this.device.deviceDescriptor.idProduct.toString(16)}`,
@@ -114,7 +165,7 @@ class SecuGenScanner {
     try {
       // Find SecuGen device
       console.log('[FINGERPRINT] Scanning for USB devices...');
-      const devices = usb.getDeviceList();
+      const devices = this.usbDevice ? [this.usbDevice] : usb.getDeviceList();
       console.log(`[FINGERPRINT] Found ${devices.length} USB devices`);
 
       for (const device of devices) {
@@ -202,17 +253,21 @@ class SecuGenScanner {
 
       this.isConnected = true;
       this.reconnectAttempts = 0;
+      this.usbDevice = this.device;
 
       // Initialize device
       await this.initializeDevice();
+      this.serialNumber = await this.getSerialNumber();
+      this.firmwareVersion = (await this.queryDevice(SG_CMD.GET_VERSION)).value;
 
       const result = {
         success: true,
+        deviceId: this.deviceId,
         deviceInfo: {
           vendorId: `0x${this.device.deviceDescriptor.idVendor.toString(16)}`,
           productId: `0x${this.device.deviceDescriptor.idProduct.toString(16)}`,
           productName: this.productName,
-          serialNumber: await this.getSerialNumber(),
+          serialNumber: this.serialNumber,
           communicationMode: this.useControlTransfer ? 'control' : 'bulk'
         }
       };
@@ -280,6 +335,71 @@ class SecuGenScanner {
     });
   }
 
+  /**
+   * Read a vendor query (GET_VERSION / GET_INFO / GET_STATUS).
+   * Returns { value, raw } where value is the decoded text (or dotted byte
+   * values for binary replies) and raw is the reply in hex; both are null
+   * when the firmware does not answer the command.
+   */
+  async queryDevice(command, length = 64) {
+    try {
+      const data = await this.controlTransfer(USB_REQUEST_TYPE.VENDOR_IN, command, 0, 0, length);
+      if (!data || data.length === 0) {
+        return { value: null, raw: null };
+      }
+
+      const text = data.toString('latin1').replace(/\0+$/, '');
+      const printable = text.length > 0 && /^[\x20-\x7e]+$/.test(text);
+
+      return {
+        value: printable ? text.trim() : Array.from(data.slice(0, 4)).join('.'),
+        raw: data.toString('hex')
+      };
+    } catch (e) {
+      return { value: null, raw: null };
+    }
+  }
+
+  /**
+   * Full device information read fresh from the hardware
+   */
+  async getDeviceInfo() {
+    if (!this.isConnected || !this.device) {
+      return null;
+    }
+
+    const version = await this.queryDevice(SG_CMD.GET_VERSION);
+    const info = await this.queryDevice(SG_CMD.GET_INFO);
+    const status = await this.queryDevice(SG_CMD.GET_STATUS);
+
+    this.serialNumber = await this.getSerialNumber();
+    this.firmwareVersion = version.value;
+
+    return {
+      deviceId: this.deviceId,
+      vendorId: `0x${this.device.deviceDescriptor.idVendor.toString(16)}`,
+      productId: `0x${this.device.deviceDescriptor.idProduct.toString(16)}`,
+      productName: this.productName,
+      serialNumber: this.serialNumber,
+      firmwareVersion: version.value,
+      usbDeviceVersion: this.formatBcd(this.device.deviceDescriptor.bcdDevice),
+      resolution: { ...this.imageConfig },
+      communicationMode: this.useControlTransfer ? 'control' : 'bulk',
+      bus: this.device.busNumber,
+      address: this.device.deviceAddress,
+      rawInfo: info.raw,
+      rawStatus: status.raw
+    };
+  }
+
+  /**
+   * Format a USB BCD version (0x0123 -> "1.23")
+   */
+  formatBcd(value) {
+    if (typeof value !== 'number') return null;
+    return `${(value >> 8).toString(16)}.${(value & 0xFF).toString(16).padStart(2, '0')}`;
+  }
+
   /**
    * Get device serial number
    */
@@ -319,6 +439,87 @@ class SecuGenScanner {
     }
   }
 
+  /**
+   * Set sensor brightness (0-100)
+   */
+  async setBrightness(value) {
+    this.brightness = Math.max(0, Math.min(100, Math.round(value)));
+    await this.sendSetting(SG_CMD.SET_BRIGHTNESS, this.brightness);
+    return this.brightness;
+  }
+
+  /**
+   * Set sensor gain (0-100)
+   */
+  async setGain(value) {
+    this.gain = Math.max(0, Math.min(100, Math.round(value)));
+    await this.sendSetting(SG_CMD.SET_GAIN, this.gain);
+    return this.gain;
+  }
+
+  /**
+   * Push a setting to the device. Values are kept locally when the device is
+   * not connected (applied to the next capture) or rejects the command.
+   */
+  async sendSetting(command, value) {
+    if (!this.isConnected || !this.device) {
+      return;
+    }
+
+    try {
+      await this.controlTransfer(USB_REQUEST_TYPE.VENDOR_OUT, command, value, 0, Buffer.alloc(0));
+    } catch (e) {
+      console.log(`[FINGERPRINT] Setting 0x${command.toString(16)} not supported: ${e.message}`);
+    }
+  }
+
+  /**
+   * Current device settings
+   */
+  getSettings() {
+    return {
+      brightness: this.brightness,
+      gain: this.gain,
+      autoExposure: this.autoExposure
+    };
+  }
+
+  /**
+   * Apply a partial settings object ({ brightness, gain, autoExposure })
+   */
+  async applySettings(settings) {
+    if (settings.brightness !== undefined && settings.brightness !== null) {
+      await this.setBrightness(settings.brightness);
+    }
+    if (settings.gain !== undefined && settings.gain !== null) {
+      await this.setGain(settings.gain);
+    }
+    if (settings.autoExposure !== undefined && settings.autoExposure !== null) {
+      this.autoExposure = !!settings.autoExposure;
+    }
+    return this.getSettings();
+  }
+
+  /**
+   * Step brightness towards a mid-grey image: a washed-out (dry finger) image
+   * is darkened, a dark (oily finger) image is lightened. Returns false when
+   * brightness is already at its limit.
+   */
+  async adjustExposure(imageData) {
+    let sum = 0;
+    for (let i = 0; i < imageData.length; i++) {
+      sum += imageData[i];
+    }
+    const mean = sum / imageData.length;
+
+    const step = mean > 128 ? -this.autoExposureStep : this.autoExposureStep;
+    const previous = this.brightness;
+    await this.setBrightness(previous + step);
+
+    console.log(`[FINGERPRINT] Auto-exposure: mean=${Math.round(mean)}, brightness ${previous} -> ${this.brightness}`);
+    return this.brightness !== previous;
+  }
+
   /**
    * Send command to device (uses control transfer or bulk based on device)
    */
@@ -468,20 +669,50 @@ class SecuGenScanner {
 
       this.emit('fingerDetected', {});
 
-      // Capture image
-      console.log('[FINGERPRINT] Capturing image...');
-      const imageData = await this.captureImage();
+      // Capture image, re-exposing and recapturing on low quality when
+      // auto-exposure is enabled. Brightness is restored afterwards.
+      const baseBrightness = this.brightness;
+      let imageData;
+      let captureSource;
+      let assessment;
+      let exposureAttempts = 0;
+
+      try {
+        while (true) {
+          console.log('[FINGERPRINT] Capturing image...');
+          ({ imageData, source: captureSource } = await this.captureImage());
+
+          // Process image and assess quality
+          assessment = this.assessQuality(imageData);
+          console.log(`[FINGERPRINT] Image quality: ${assessment.score}% (brightness=${this.brightness})`);
+
+          if (assessment.score >= minQuality || !this.autoExposure || exposureAttempts >= this.autoExposureMaxAttempts) {
+            break;
+          }
+
+          exposureAttempts++;
+          if (!await this.adjustExposure(imageData)) {
+            break;
+          }
+        }
+      } finally {
+        if (this.brightness !== baseBrightness) {
+          await this.setBrightness(baseBrightness);
+        }
+      }
 
-      // Process image and calculate quality
-      const quality = this.calculateQuality(imageData);
-      console.log(`[FINGERPRINT] Image quality: ${quality}%`);
+      // Virtual scanners deliver images, but never of a real finger
+      if (usb.virtual) {
+        captureSource = CAPTURE_SOURCE.SYNTHETIC;
+      }
 
+      const quality = assessment.score;
       if (quality < minQuality) {
         throw new Error(`Image quality too low (${quality}%). Please try again.`);
       }
 
-      // Generate template
-      const template = this.generateTemplate(imageData);
+      // Generate template with the configured matcher engine
+      const template = engine.extract(imageData, this.imageConfig.width, this.imageConfig.height, this.imageConfig.dpi);
 
       await this.setLED(false);
 
@@ -490,8 +721,13 @@ class SecuGenScanner {
         template: template.toString('base64'),
         image: imageData.toString('base64'),
         quality: quality,
+        qualityFeatures: assessment.features,
+        qualityMap: assessment.map,
         width: this.imageConfig.width,
         height: this.imageConfig.height,
+        dpi: this.imageConfig.dpi,
+        captureSource,
+        exposureAttempts,
         timestamp: Date.now()
       };
 
@@ -510,7 +746,9 @@ class SecuGenScanner {
   }
 
   /**
-   * Capture raw image from sensor
+   * Capture raw image from sensor. Returns { imageData, source }, where
+   * source is one of CAPTURE_SOURCE. In strict mode a failed hardware
+   * capture throws CAPTURE_FAILED instead of returning a synthetic image.
    */
   async captureImage() {
     const imageSize = this.imageConfig.width * this.imageConfig.height;
@@ -554,7 +792,7 @@ class SecuGenScanner {
           const imageData = Buffer.concat(chunks);
           // Trim or pad to exact size
           if (imageData.length >= imageSize) {
-            return imageData.slice(0, imageSize);
+            return { imageData: imageData.slice(0, imageSize), source: CAPTURE_SOURCE.BULK };
           }
         }
       } catch (error) {
@@ -597,16 +835,22 @@ class SecuGenScanner {
 
       if (bytesRead > 1000) {
         console.log(`[FINGERPRINT] Read ${bytesRead} bytes via control transfer`);
-        return Buffer.concat(chunks);
+        return { imageData: Buffer.concat(chunks), source: CAPTURE_SOURCE.CONTROL };
       }
     } catch (error) {
       console.log('[FINGERPRINT] Control transfer capture failed:', error.message);
     }
 
+    if (this.strict) {
+      const error = new Error('Hardware capture failed: the scanner returned no image. Please reconnect the scanner and try again.');
+      error.code = 'CAPTURE_FAILED';
+      throw error;
+    }
+
     // Fallback: Generate synthetic fingerprint for demo/testing
     console.log('[FINGERPRINT] Using synthetic fingerprint (hardware capture not available)');
     console.log('[FINGERPRINT] NOTE: SecuGen HAMSTER_PRO requires official SDK for real capture on macOS');
-    return this.generateSyntheticFingerprint();
+    return { imageData: this.generateSyntheticFingerprint(), source: CAPTURE_SOURCE.SYNTHETIC };
   }
 
   /**
@@ -691,228 +935,16 @@ class SecuGenScanner {
   /**
    * Calculate image quality score (0-100)
    */
-  calculateQuality(imageData) {
-    const { width, height } = this.imageConfig;
-
-    let min = 255, max = 0, sum = 0;
-    for (let i = 0; i < imageData.length; i++) {
-      const pixel = imageData[i];
-      if (pixel < min) min = pixel;
-      if (pixel > max) max = pixel;
-      sum += pixel;
-    }
-
-    const contrast = max - min;
-    const mean = sum / imageData.length;
-
-    // Calculate variance
-    let variance = 0;
-    for (let i = 0; i < imageData.length; i++) {
-      const diff = imageData[i] - mean;
-      variance += diff * diff;
-    }
-    variance /= imageData.length;
-    const stdDev = Math.sqrt(variance);
-
-    // Calculate edge strength
-    let edgeSum = 0;
-    for (let y = 1; y < height - 1; y++) {
-      for (let x = 1; x < width - 1; x++) {
-        const idx = y * width + x;
-        const gx = imageData[idx + 1] - imageData[idx - 1];
-        const gy = imageData[idx + width] - imageData[idx - width];
-        edgeSum += Math.sqrt(gx * gx + gy * gy);
-      }
-    }
-    const avgEdge = edgeSum / ((width - 2) * (height - 2));
-
-    // Combined quality score
-    const contrastScore = Math.min(contrast / 2, 40);
-    const sharpnessScore = Math.min(stdDev / 2, 30);
-    const edgeScore = Math.min(avgEdge / 3, 30);
-
-    return Math.min(100, Math.max(0, Math.round(contrastScore + sharpnessScore + edgeScore)));
-  }
-
-  /**
-   * Generate fingerprint template for matching
-   */
-  generateTemplate(imageData) {
-    const { width, height, dpi } = this.imageConfig;
-    const minutiae = this.extractMinutiae(imageData, width, height);
-
-    // FMR template format header
-    const header = Buffer.from([
-      0x46, 0x4D, 0x52, 0x00,  // "FMR\0"
-      0x20, 0x32, 0x30,        // Version "20"
-      minutiae.length,
-      (width >> 8) & 0xFF, width & 0xFF,
-      (height >> 8) & 0xFF, height & 0xFF,
-      dpi >> 8, dpi & 0xFF
-    ]);
-
-    // Encode minutiae
-    const minutiaeData = Buffer.alloc(minutiae.length * 6);
-    minutiae.forEach((m, i) => {
-      const offset = i * 6;
-      minutiaeData.writeUInt16BE(m.x, offset);
-      minutiaeData.writeUInt16BE(m.y, offset + 2);
-      minutiaeData[offset + 4] = m.angle;
-      minutiaeData[offset + 5] = m.type;
-    });
-
-    const templateData = Buffer.concat([header, minutiaeData]);
-    const hash = crypto.createHash('sha256').update(templateData).digest().slice(0, 16);
-
-    return Buffer.concat([templateData, hash]);
-  }
-
-  /**
-   * Extract minutiae points from fingerprint image
-   */
-  extractMinutiae(imageData, width, height) {
-    const minutiae = [];
-    const threshold = 128;
-    const blockSize = 16;
-
-    for (let by = 1; by < Math.floor(height / blockSize) - 1; by++) {
-      for (let bx = 1; bx < Math.floor(width / blockSize) - 1; bx++) {
-        const x = bx * blockSize + blockSize / 2;
-        const y = by * blockSize + blockSize / 2;
-        const idx = Math.floor(y) * width + Math.floor(x);
-
-        if (idx >= 0 && idx < imageData.length) {
-          const pixel = imageData[idx];
-          const neighbors = this.countNeighbors(imageData, x, y, width, height, threshold);
-
-          if (pixel < threshold) {
-            if (neighbors === 1) {
-              minutiae.push({
-                x: Math.round(x),
-                y: Math.round(y),
-                angle: this.calculateAngle(imageData, x, y, width, height),
-                type: 0x01 // Ridge ending
-              });
-            } else if (neighbors === 3) {
-              minutiae.push({
-                x: Math.round(x),
-                y: Math.round(y),
-                angle: this.calculateAngle(imageData, x, y, width, height),
-                type: 0x02 // Bifurcation
-              });
-            }
-          }
-        }
-      }
-    }
-
-    return minutiae.slice(0, 128);
-  }
-
-  /**
-   * Count neighboring ridge pixels
-   */
-  countNeighbors(imageData, x, y, width, height, threshold) {
-    let count = 0;
-    const offsets = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
-
-    for (const [dx, dy] of offsets) {
-      const nx = Math.floor(x + dx);
-      const ny = Math.floor(y + dy);
-
-      if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-        if (imageData[ny * width + nx] < threshold) {
-          count++;
-        }
-      }
-    }
-
-    return count;
-  }
-
-  /**
-   * Calculate ridge angle at point
-   */
-  calculateAngle(imageData, x, y, width, height) {
-    let gx = 0, gy = 0;
-
-    if (x > 0 && x < width - 1 && y > 0 && y < height - 1) {
-      const idx = Math.floor(y) * width + Math.floor(x);
-      gx = imageData[idx + 1] - imageData[idx - 1];
-      gy = imageData[idx + width] - imageData[idx - width];
-    }
-
-    const angle = Math.atan2(gy, gx);
-    return Math.round(((angle + Math.PI) / (2 * Math.PI)) * 255);
+  calculateQuality(imageData, width = this.imageConfig.width, height = this.imageConfig.height) {
+    return this.assessQuality(imageData, width, height).score;
   }
 
   /**
-   * Match two fingerprint templates
+   * Assess image quality: overall score, NFIQ-style features and a per-block
+   * quality map (see quality.js)
    */
-  match(template1, template2) {
-    try {
-      const t1 = Buffer.isBuffer(template1) ? template1 : Buffer.from(template1, 'base64');
-      const t2 = Buffer.isBuffer(template2) ? template2 : Buffer.from(template2, 'base64');
-
-      if (t1.length < 20 || t2.length < 20) {
-        return { match: false, score: 0, error: 'Invalid template' };
-      }
-
-      const minutiae1 = this.parseMinutiae(t1);
-      const minutiae2 = this.parseMinutiae(t2);
-
-      let matchedCount = 0;
-      const distanceThreshold = 20;
-      const angleThreshold = 30;
-
-      for (const m1 of minutiae1) {
-        for (const m2 of minutiae2) {
-          const dx = m1.x - m2.x;
-          const dy = m1.y - m2.y;
-          const distance = Math.sqrt(dx * dx + dy * dy);
-          const angleDiff = Math.abs(m1.angle - m2.angle);
-
-          if (distance < distanceThreshold && angleDiff < angleThreshold && m1.type === m2.type) {
-            matchedCount++;
-            break;
-          }
-        }
-      }
-
-      const maxPossible = Math.min(minutiae1.length, minutiae2.length);
-      const score = maxPossible > 0 ? Math.round((matchedCount / maxPossible) * 100) : 0;
-
-      return {
-        match: score >= 60,
-        score: score,
-        matchedMinutiae: matchedCount,
-        totalMinutiae: maxPossible
-      };
-
-    } catch (error) {
-      return { match: false, score: 0, error: error.message };
-    }
-  }
-
-  /**
-   * Parse minutiae from template
-   */
-  parseMinutiae(template) {
-    const minutiae = [];
-    const count = template[7];
-    const headerSize = 14;
-
-    for (let i = 0; i < count && (headerSize + i * 6 + 5) < template.length - 16; i++) {
-      const offset = headerSize + i * 6;
-      minutiae.push({
-        x: template.readUInt16BE(offset),
-        y: template.readUInt16BE(offset + 2),
-        angle: template[offset + 4],
-        type: template[offset + 5]
-      });
-    }
-
-    return minutiae;
+  assessQuality(imageData, width = this.imageConfig.width, height = this.imageConfig.height) {
+    return assessQuality(imageData, width, height);
   }
 
   /**
@@ -920,14 +952,19 @@ class SecuGenScanner {
    */
   getStatus() {
     const status = {
+      deviceId: this.deviceId,
       connected: this.isConnected,
       capturing: this.isCapturing,
       deviceInfo: this.device ? {
         vendorId: `0x${this.device.deviceDescriptor.idVendor.toString(16)}`,
         productId: `0x${this.device.deviceDescriptor.idProduct.toString(16)}`,
         productName: this.productName,
+        serialNumber: this.serialNumber,
+        firmwareVersion: this.firmwareVersion,
+        resolution: { ...this.imageConfig },
         communicationMode: this.useControlTransfer ? 'control' : 'bulk'
-      } : null
+      } : null,
+      settings: this.getSettings()
     };
 
     console.log('[FINGERPRINT] getStatus:', JSON.stringify(status));
@@ -939,6 +976,7 @@ class SecuGenScanner {
    */
   async disconnect() {
     console.log('[FINGERPRINT] Disconnecting...');
+    this.cancelReconnect();
 
     try {
       if (this.isConnected) {
@@ -969,7 +1007,112 @@ class SecuGenScanner {
 
     this.emit('disconnected', {});
     console.log('[FINGERPRINT] Disconnected');
+    return { success: true };
+  }
+
+  /**
+   * A USB device disappeared - drop our handle immediately if it was ours
+   */
+  handleDetach(device) {
+    if (!this.owns(device)) {
+      return;
+    }
+
+    console.log('[FINGERPRINT] Scanner unplugged');
+    this.cancelReconnect();
+
+    // The device is gone, so skip LED/release/close and just reset state
+    this.device = null;
+    this.interface = null;
+    this.inEndpoint = null;
+    this.outEndpoint = null;
+    this.isConnected = false;
+    this.productName = null;
+
+    this.emit('disconnected', { reason: 'unplugged' });
+  }
+
+  /**
+   * Retry connect() with exponential backoff (capped at reconnectMaxDelay) up
+   * to maxReconnectAttempts. After the last one, 'reconnectFailed' hands the
+   * device back to whoever owns recovery (the registry waits for a re-attach).
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.isConnected) {
+      return;
+    }
+
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      const attempts = this.reconnectAttempts;
+      this.reconnectAttempts = 0;
+      console.log(`[FINGERPRINT] Giving up after ${attempts} reconnect attempts`);
+      this.emit('reconnectFailed', { attempts });
+      return;
+    }
+
+    const delay = Math.min(this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts), this.reconnectMaxDelay);
+    this.reconnectAttempts++;
+    console.log(`[FINGERPRINT] Reconnect attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms`);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      const result = await this.connect();
+      if (!result.success) {
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Cancel a pending reconnect attempt
+   */
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Close and re-open the device
+   */
+  async reconnect() {
+    console.log('[FINGERPRINT] Reconnecting...');
+    await this.disconnect();
+    return this.connect();
+  }
+
+  /**
+   * Issue a USB port reset, then reconnect. Recovers a scanner that stopped
+   * responding without restarting the process.
+   */
+  async resetDevice() {
+    console.log('[FINGERPRINT] Resetting device...');
+    let usbReset = false;
+
+    if (this.device) {
+      try {
+        await new Promise((resolve, reject) => {
+          this.device.reset((error) => error ? reject(error) : resolve());
+        });
+        usbReset = true;
+        console.log('[FINGERPRINT] USB reset complete');
+      } catch (e) {
+        console.error('[FINGERPRINT] USB reset failed:', e.message);
+      }
+    }
+
+    await this.disconnect();
+    this.isCapturing = false;
+
+    const result = await this.connect();
+    return { ...result, usbReset };
   }
 }
 
-module.exports = new SecuGenScanner();
+module.exports = {
+  SecuGenScanner,
+  SECUGEN_VENDOR_ID,
+  SECUGEN_PRODUCT_IDS,
+  CAPTURE_SOURCE
+};
@@ -0,0 +1,193 @@
+/**
+ * Fingerprint Image Rendering - raw 8-bit grayscale to PNG, JPEG or BMP
+ *
+ * Captures are raw grayscale buffers. PNG and JPEG are encoded with sharp;
+ * BMP (which sharp cannot write) is encoded here as an 8-bit palettized
+ * bitmap. Every format carries the resolution, so tools that honour it
+ * show the print at its true size. sharp only writes a resolution together
+ * with an sRGB profile, which would turn the image into three channels, so
+ * the PNG pHYs chunk and JPEG JFIF header are written here instead. Resizing keeps the aspect ratio and
+ * scales the DPI with the pixels: a 500 dpi capture drawn twice as large
+ * is written as 1000 dpi.
+ */
+
+const zlib = require('zlib');
+const sharp = require('sharp');
+
+const IMAGE_FORMAT = {
+  PNG: { extension: 'png', contentType: 'image/png' },
+  JPEG: { extension: 'jpg', contentType: 'image/jpeg' },
+  BMP: { extension: 'bmp', contentType: 'image/bmp' }
+};
+
+const MAX_OUTPUT_DIMENSION = 4096;
+const JPEG_QUALITY = 90;
+
+const INCHES_PER_METRE = 39.3701;
+
+/**
+ * Resolve a format name (png, jpeg / jpg, bmp). Returns the format or null.
+ */
+function parseImageFormat(value = 'png') {
+  const name = String(value).toUpperCase();
+  return IMAGE_FORMAT[name === 'JPG' ? 'JPEG' : name] || null;
+}
+
+/**
+ * Encode 8-bit grayscale pixels as a bottom-up BMP with a 256-entry
+ * grayscale palette. Rows are padded to 4 bytes.
+ */
+function encodeBmp(pixels, width, height, dpi) {
+  const rowSize = Math.ceil(width / 4) * 4;
+  const paletteSize = 256 * 4;
+  const offset = 14 + 40 + paletteSize;
+  const bmp = Buffer.alloc(offset + rowSize * height);
+  const pixelsPerMetre = Math.round(dpi * INCHES_PER_METRE);
+
+  // BITMAPFILEHEADER
+  bmp.write('BM', 0, 'ascii');
+  bmp.writeUInt32LE(bmp.length, 2);
+  bmp.writeUInt32LE(offset, 10);
+
+  // BITMAPINFOHEADER
+  bmp.writeUInt32LE(40, 14);
+  bmp.writeInt32LE(width, 18);
+  bmp.writeInt32LE(height, 22);
+  bmp.writeUInt16LE(1, 26);            // planes
+  bmp.writeUInt16LE(8, 28);            // bits per pixel
+  bmp.writeUInt32LE(0, 30);            // BI_RGB
+  bmp.writeUInt32LE(rowSize * height, 34);
+  bmp.writeInt32LE(pixelsPerMetre, 38);
+  bmp.writeInt32LE(pixelsPerMetre, 42);
+  bmp.writeUInt32LE(256, 46);          // colours used
+  bmp.writeUInt32LE(0, 50);
+
+  for (let i = 0; i < 256; i++) {
+    const entry = 54 + i * 4;
+    bmp[entry] = i;
+    bmp[entry + 1] = i;
+    bmp[entry + 2] = i;
+  }
+
+  for (let y = 0; y < height; y++) {
+    pixels.copy(bmp, offset + (height - 1 - y) * rowSize, y * width, (y + 1) * width);
+  }
+
+  return bmp;
+}
+
+/**
+ * Set the pHYs chunk of a PNG, replacing sharp's or adding one after IHDR
+ */
+function setPngDensity(png, dpi) {
+  const chunk = Buffer.alloc(21);
+  const pixelsPerMetre = Math.round(dpi * INCHES_PER_METRE);
+  chunk.writeUInt32BE(9, 0);
+  chunk.write('pHYs', 4, 'ascii');
+  chunk.writeUInt32BE(pixelsPerMetre, 8);
+  chunk.writeUInt32BE(pixelsPerMetre, 12);
+  chunk[16] = 1;                        // unit: metre
+  chunk.writeUInt32BE(zlib.crc32(chunk.subarray(4, 17)), 17);
+
+  // Chunks start after the 8-byte signature; IHDR is always first
+  let offset = 8;
+  let insertAt = null;
+  while (offset + 8 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (type === 'pHYs') {
+      return Buffer.concat([png.subarray(0, offset), chunk, png.subarray(end)]);
+    }
+    if (type === 'IHDR') insertAt = end;
+    if (type === 'IDAT') break;
+    offset = end;
+  }
+  return Buffer.concat([png.subarray(0, insertAt), chunk, png.subarray(insertAt)]);
+}
+
+/**
+ * Set the JFIF density of a JPEG, adding an APP0 segment if sharp left it out
+ */
+function setJpegDensity(jpeg, dpi) {
+  const density = Math.min(0xFFFF, dpi);
+  const hasJfif = jpeg.readUInt16BE(2) === 0xFFE0 && jpeg.toString('ascii', 6, 11) === 'JFIF\0';
+  if (hasJfif) {
+    const patched = Buffer.from(jpeg);
+    patched[13] = 1;                    // unit: dots per inch
+    patched.writeUInt16BE(density, 14);
+    patched.writeUInt16BE(density, 16);
+    return patched;
+  }
+
+  const app0 = Buffer.alloc(18);
+  app0.writeUInt16BE(0xFFE0, 0);
+  app0.writeUInt16BE(16, 2);
+  app0.write('JFIF\0', 4, 'ascii');
+  app0[9] = 1;                          // version 1.01
+  app0[10] = 1;
+  app0[11] = 1;
+  app0.writeUInt16BE(density, 12);
+  app0.writeUInt16BE(density, 14);
+  return Buffer.concat([jpeg.subarray(0, 2), app0, jpeg.subarray(2)]);
+}
+
+/**
+ * Output size for a requested width and/or height, keeping the aspect ratio
+ */
+function outputSize(width, height, requested) {
+  const { width: w, height: h } = requested;
+  let scale = 1;
+  if (w && h) {
+    scale = Math.min(w / width, h / height);
+  } else if (w) {
+    scale = w / width;
+  } else if (h) {
+    scale = h / height;
+  }
+
+  scale = Math.min(scale, MAX_OUTPUT_DIMENSION / width, MAX_OUTPUT_DIMENSION / height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+    scale
+  };
+}
+
+/**
+ * Render a raw grayscale image.
+ * image: { imageData, width, height, dpi }
+ * options: { format (from parseImageFormat), width, height }
+ * Resolves to { buffer, contentType, extension, width, height, dpi }.
+ */
+async function renderImage({ imageData, width, height, dpi }, { format = IMAGE_FORMAT.PNG, ...requested } = {}) {
+  const size = outputSize(width, height, requested);
+  const outputDpi = Math.round(dpi * size.scale);
+
+  let pipeline = sharp(imageData, { raw: { width, height, channels: 1 } });
+  if (size.width !== width || size.height !== height) {
+    pipeline = pipeline.resize(size.width, size.height, { fit: 'fill', kernel: 'lanczos3' });
+  }
+
+  pipeline = pipeline.toColourspace('b-w');
+
+  let buffer;
+  if (format === IMAGE_FORMAT.BMP) {
+    buffer = encodeBmp(await pipeline.raw().toBuffer(), size.width, size.height, outputDpi);
+  } else if (format === IMAGE_FORMAT.JPEG) {
+    buffer = setJpegDensity(await pipeline.jpeg({ quality: JPEG_QUALITY }).toBuffer(), outputDpi);
+  } else {
+    buffer = setPngDensity(await pipeline.png().toBuffer(), outputDpi);
+  }
+
+  return {
+    buffer,
+    contentType: format.contentType,
+    extension: format.extension,
+    width: size.width,
+    height: size.height,
+    dpi: outputDpi
+  };
+}
+
+module.exports = { renderImage, encodeBmp, parseImageFormat, IMAGE_FORMAT, MAX_OUTPUT_DIMENSION };
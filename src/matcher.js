@@ -0,0 +1,165 @@
+/**
+ * Minutiae Matcher - aligns two minutiae sets before pairing them
+ *
+ * Rotation and translation between the two impressions are estimated with
+ * Hough-style voting: every pair of minutiae votes for the transform that
+ * would map one onto the other, and the densest cells of the accumulator
+ * are tried as candidate alignments. For each candidate the first set is
+ * transformed and paired one-to-one with the second, within distance and
+ * angle tolerances; the candidate with the most pairs wins.
+ *
+ * Minutiae are { x, y, angle, type } with angle in template encoding
+ * (0-255 for a full turn).
+ */
+
+// Largest finger rotation between two impressions
+const MAX_ROTATION = Math.PI / 4;
+
+// Accumulator cell sizes
+const ROTATION_BIN = Math.PI / 30;
+const TRANSLATION_BIN = 8;
+
+// Candidate alignments refined and scored
+const CANDIDATES = 5;
+
+// Pairing tolerances after alignment
+const DISTANCE_TOLERANCE = 12;
+const ANGLE_TOLERANCE = Math.PI / 6;
+
+// Smaller sets are scored as if they had this many minutiae, so a handful
+// of chance pairings cannot reach a high score
+const MIN_SCORED_MINUTIAE = 12;
+
+/**
+ * Template angle byte to radians (-PI..PI)
+ */
+function decodeAngle(value) {
+  return (value / 255) * 2 * Math.PI - Math.PI;
+}
+
+/**
+ * Signed difference between two angles, wrapped to -PI..PI
+ */
+function angleDifference(a, b) {
+  let diff = (a - b) % (2 * Math.PI);
+  if (diff > Math.PI) diff -= 2 * Math.PI;
+  if (diff < -Math.PI) diff += 2 * Math.PI;
+  return diff;
+}
+
+function toPoints(minutiae) {
+  return minutiae.map(m => ({ x: m.x, y: m.y, angle: decodeAngle(m.angle), type: m.type }));
+}
+
+/**
+ * Vote for rotation/translation cells and return the best few, each as the
+ * average transform of the pairs that voted for it
+ */
+function alignmentCandidates(probe, candidate) {
+  const cells = new Map();
+
+  for (const p of probe) {
+    for (const q of candidate) {
+      const rotation = angleDifference(q.angle, p.angle);
+      if (Math.abs(rotation) > MAX_ROTATION) continue;
+
+      const cos = Math.cos(rotation), sin = Math.sin(rotation);
+      const dx = q.x - (cos * p.x - sin * p.y);
+      const dy = q.y - (sin * p.x + cos * p.y);
+
+      const key = [
+        Math.round(rotation / ROTATION_BIN),
+        Math.round(dx / TRANSLATION_BIN),
+        Math.round(dy / TRANSLATION_BIN)
+      ].join(',');
+
+      let cell = cells.get(key);
+      if (!cell) {
+        cell = { votes: 0, rotation: 0, dx: 0, dy: 0 };
+        cells.set(key, cell);
+      }
+      // Pairs of the same minutia type are stronger evidence
+      const weight = p.type === q.type ? 1 : 0.5;
+      cell.votes += weight;
+      cell.rotation += weight * rotation;
+      cell.dx += weight * dx;
+      cell.dy += weight * dy;
+    }
+  }
+
+  return [...cells.values()]
+    .sort((a, b) => b.votes - a.votes)
+    .slice(0, CANDIDATES)
+    .map(cell => ({
+      rotation: cell.rotation / cell.votes,
+      dx: cell.dx / cell.votes,
+      dy: cell.dy / cell.votes
+    }));
+}
+
+/**
+ * Transform the probe and pair it one-to-one with the candidate, closest
+ * pairs first. Returns the number of pairs.
+ */
+function pairUnder(probe, candidate, { rotation, dx, dy }) {
+  const cos = Math.cos(rotation), sin = Math.sin(rotation);
+  const pairs = [];
+
+  probe.forEach((p, i) => {
+    const x = cos * p.x - sin * p.y + dx;
+    const y = sin * p.x + cos * p.y + dy;
+    const angle = p.angle + rotation;
+
+    candidate.forEach((q, j) => {
+      const distance = Math.hypot(q.x - x, q.y - y);
+      if (distance > DISTANCE_TOLERANCE) return;
+      if (Math.abs(angleDifference(q.angle, angle)) > ANGLE_TOLERANCE) return;
+      pairs.push({ i, j, distance });
+    });
+  });
+
+  pairs.sort((a, b) => a.distance - b.distance);
+  const usedProbe = new Set();
+  const usedCandidate = new Set();
+  let count = 0;
+  for (const { i, j } of pairs) {
+    if (usedProbe.has(i) || usedCandidate.has(j)) continue;
+    usedProbe.add(i);
+    usedCandidate.add(j);
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Align and pair two minutiae sets.
+ * Returns { score (0-100), matchedMinutiae, totalMinutiae, alignment }
+ * where alignment is the rotation (degrees) and translation (pixels) that
+ * maps the first set onto the second.
+ */
+function matchMinutiae(minutiae1, minutiae2) {
+  const probe = toPoints(minutiae1);
+  const candidate = toPoints(minutiae2);
+  const totalMinutiae = Math.min(probe.length, candidate.length);
+
+  let best = { matched: 0, alignment: { rotation: 0, dx: 0, dy: 0 } };
+  for (const alignment of alignmentCandidates(probe, candidate)) {
+    const matched = pairUnder(probe, candidate, alignment);
+    if (matched > best.matched) {
+      best = { matched, alignment };
+    }
+  }
+
+  return {
+    score: totalMinutiae > 0 ? Math.round((best.matched / Math.max(totalMinutiae, MIN_SCORED_MINUTIAE)) * 100) : 0,
+    matchedMinutiae: best.matched,
+    totalMinutiae,
+    alignment: {
+      rotation: Math.round((best.alignment.rotation * 180 / Math.PI) * 10) / 10,
+      dx: Math.round(best.alignment.dx),
+      dy: Math.round(best.alignment.dy)
+    }
+  };
+}
+
+module.exports = { matchMinutiae, decodeAngle, angleDifference };
@@ -0,0 +1,777 @@
+/**
+ * Minutiae Extraction - ridge enhancement and skeleton-based feature detection
+ *
+ * Pure JavaScript, so templates can be built on the server without the
+ * SecuGen SDK. The pipeline:
+ *
+ *   1. Segment the finger from the background (block variance) and normalize
+ *   2. Estimate ridge orientation (gradients) and ridge frequency per block
+ *   3. Enhance with Gabor filters tuned to the local orientation and frequency
+ *   4. Binarize and thin the ridges to a one-pixel skeleton
+ *   5. Detect ridge endings and bifurcations by crossing number
+ *   6. Remove spurious minutiae: near the border, on spurs, bridges and short
+ *      ridge fragments, at ridge breaks and in dense clusters
+ *
+ * Images are 8-bit grayscale with dark ridges. Angles use the template
+ * encoding (0-255 for a full turn).
+ */
+
+const BLOCK_SIZE = 16;
+
+// Blocks whose grey-level spread is below this fraction of a typical
+// finger block are background
+const SEGMENT_RATIO = 0.3;
+
+// Ridge wavelength limits in pixels (about 500 dpi)
+const MIN_WAVELENGTH = 4;
+const MAX_WAVELENGTH = 20;
+const DEFAULT_WAVELENGTH = 9;
+
+// Gabor envelope width relative to the wavelength, and filter bank size
+const GABOR_SIGMA_RATIO = 0.45;
+const ORIENTATION_BINS = 16;
+
+// Minutiae closer than this to the background are discarded
+const BORDER_MARGIN = 12;
+
+const MAX_MINUTIAE = 128;
+
+const MINUTIA_TYPE = {
+  ENDING: 0x01,
+  BIFURCATION: 0x02
+};
+
+// 8-neighbourhood in circular order (E, NE, N, NW, W, SW, S, SE)
+const NEIGHBORS = [[1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1], [0, 1], [1, 1]];
+
+/**
+ * Convert an angle in radians (-PI..PI) to the template byte encoding
+ */
+function encodeAngle(angle) {
+  return Math.round(((angle + Math.PI) / (2 * Math.PI)) * 255);
+}
+
+// ========== Segmentation ==========
+
+/**
+ * Foreground mask from block standard deviation. Returns the block grid
+ * (1 = finger) and per-pixel mask.
+ */
+function segment(imageData, width, height) {
+  const cols = Math.ceil(width / BLOCK_SIZE);
+  const rows = Math.ceil(height / BLOCK_SIZE);
+  const spread = new Float32Array(cols * rows);
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      let sum = 0, sumSq = 0, n = 0;
+      for (let y = by * BLOCK_SIZE; y < Math.min(height, (by + 1) * BLOCK_SIZE); y++) {
+        for (let x = bx * BLOCK_SIZE; x < Math.min(width, (bx + 1) * BLOCK_SIZE); x++) {
+          const v = imageData[y * width + x];
+          sum += v;
+          sumSq += v * v;
+          n++;
+        }
+      }
+      const mean = sum / n;
+      spread[by * cols + bx] = Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+    }
+  }
+
+  // A typical finger block: the 90th percentile, so a small finger still counts
+  const sorted = Array.from(spread).sort((a, b) => a - b);
+  const threshold = SEGMENT_RATIO * sorted[Math.floor(sorted.length * 0.9)];
+
+  let blocks = new Uint8Array(cols * rows);
+  for (let i = 0; i < blocks.length; i++) {
+    blocks[i] = spread[i] > threshold ? 1 : 0;
+  }
+
+  // Majority vote over 3x3 blocks closes holes and drops isolated blocks
+  const smoothed = new Uint8Array(cols * rows);
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      let votes = 0, total = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const x = bx + dx, y = by + dy;
+          if (x < 0 || y < 0 || x >= cols || y >= rows) continue;
+          votes += blocks[y * cols + x];
+          total++;
+        }
+      }
+      smoothed[by * cols + bx] = votes * 2 > total ? 1 : 0;
+    }
+  }
+  blocks = smoothed;
+
+  const mask = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      mask[y * width + x] = blocks[Math.floor(y / BLOCK_SIZE) * cols + Math.floor(x / BLOCK_SIZE)];
+    }
+  }
+
+  return { cols, rows, blocks, mask };
+}
+
+/**
+ * Zero-mean, unit-variance image over the foreground, with ridges positive
+ */
+function normalize(imageData, mask) {
+  let sum = 0, sumSq = 0, n = 0;
+  for (let i = 0; i < imageData.length; i++) {
+    if (!mask[i]) continue;
+    sum += imageData[i];
+    sumSq += imageData[i] * imageData[i];
+    n++;
+  }
+
+  const mean = n > 0 ? sum / n : 128;
+  const std = n > 0 ? Math.sqrt(Math.max(1, sumSq / n - mean * mean)) : 1;
+  const normalized = new Float32Array(imageData.length);
+  for (let i = 0; i < imageData.length; i++) {
+    normalized[i] = (mean - imageData[i]) / std;
+  }
+  return normalized;
+}
+
+/**
+ * Chamfer distance (in pixels) from each pixel to the nearest background
+ * pixel or image edge
+ */
+function distanceToBackground(mask, width, height) {
+  const INF = 1e9;
+  const distance = new Float32Array(width * height);
+  for (let i = 0; i < distance.length; i++) {
+    distance[i] = mask[i] ? INF : 0;
+  }
+
+  const at = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : distance[y * width + x]);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!distance[i]) continue;
+      distance[i] = Math.min(distance[i], at(x - 1, y) + 1, at(x, y - 1) + 1,
+        at(x - 1, y - 1) + Math.SQRT2, at(x + 1, y - 1) + Math.SQRT2);
+    }
+  }
+  for (let y = height - 1; y >= 0; y--) {
+    for (let x = width - 1; x >= 0; x--) {
+      const i = y * width + x;
+      if (!distance[i]) continue;
+      distance[i] = Math.min(distance[i], at(x + 1, y) + 1, at(x, y + 1) + 1,
+        at(x + 1, y + 1) + Math.SQRT2, at(x - 1, y + 1) + Math.SQRT2);
+    }
+  }
+
+  return distance;
+}
+
+// ========== Orientation and Frequency ==========
+
+/**
+ * Ridge orientation per block (radians, 0..PI, direction of ridge flow) and
+ * its coherence (0..1), from Sobel gradients averaged over a 2-block window
+ * and smoothed as doubled-angle vectors
+ */
+function orientationField(normalized, width, height, seg) {
+  const { cols, rows, blocks } = seg;
+  const gxx = new Float32Array(cols * rows);
+  const gyy = new Float32Array(cols * rows);
+  const gxy = new Float32Array(cols * rows);
+
+  const px = (x, y) => normalized[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      if (!blocks[by * cols + bx]) continue;
+      const cx = bx * BLOCK_SIZE + BLOCK_SIZE / 2;
+      const cy = by * BLOCK_SIZE + BLOCK_SIZE / 2;
+      let sxx = 0, syy = 0, sxy = 0;
+
+      for (let y = cy - BLOCK_SIZE; y < cy + BLOCK_SIZE; y++) {
+        for (let x = cx - BLOCK_SIZE; x < cx + BLOCK_SIZE; x++) {
+          const gx = (px(x + 1, y - 1) + 2 * px(x + 1, y) + px(x + 1, y + 1))
+            - (px(x - 1, y - 1) + 2 * px(x - 1, y) + px(x - 1, y + 1));
+          const gy = (px(x - 1, y + 1) + 2 * px(x, y + 1) + px(x + 1, y + 1))
+            - (px(x - 1, y - 1) + 2 * px(x, y - 1) + px(x + 1, y - 1));
+          sxx += gx * gx;
+          syy += gy * gy;
+          sxy += gx * gy;
+        }
+      }
+
+      const i = by * cols + bx;
+      gxx[i] = sxx;
+      gyy[i] = syy;
+      gxy[i] = sxy;
+    }
+  }
+
+  const orientation = new Float32Array(cols * rows);
+  const coherence = new Float32Array(cols * rows);
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      const i = by * cols + bx;
+      if (!blocks[i]) continue;
+
+      // Smooth the doubled-angle gradient vectors over neighbouring blocks
+      let vx = 0, vy = 0, energy = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const x = bx + dx, y = by + dy;
+          if (x < 0 || y < 0 || x >= cols || y >= rows) continue;
+          const j = y * cols + x;
+          if (!blocks[j]) continue;
+          const weight = dx === 0 && dy === 0 ? 2 : 1;
+          vx += weight * (gxx[j] - gyy[j]);
+          vy += weight * 2 * gxy[j];
+          energy += weight * (gxx[j] + gyy[j]);
+        }
+      }
+
+      // Gradients run across the ridges; the ridges are perpendicular
+      const gradient = 0.5 * Math.atan2(vy, vx);
+      orientation[i] = (gradient + Math.PI / 2 + Math.PI) % Math.PI;
+      coherence[i] = energy > 0 ? Math.sqrt(vx * vx + vy * vy) / energy : 0;
+    }
+  }
+
+  return { orientation, coherence };
+}
+
+/**
+ * Ridge wavelength per block (pixels): grey levels are averaged along the
+ * ridges in a window across them, and the spacing of the peaks measured.
+ * Blocks without a clear signal take the average of their neighbours;
+ * `measured` marks the blocks that had one.
+ */
+function frequencyField(normalized, width, height, seg, orientation) {
+  const { cols, rows, blocks } = seg;
+  const wavelength = new Float32Array(cols * rows);
+  const measured = new Uint8Array(cols * rows);
+  const length = 2 * BLOCK_SIZE;
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      const i = by * cols + bx;
+      if (!blocks[i]) continue;
+
+      const cx = bx * BLOCK_SIZE + BLOCK_SIZE / 2;
+      const cy = by * BLOCK_SIZE + BLOCK_SIZE / 2;
+      const rx = Math.cos(orientation[i]), ry = Math.sin(orientation[i]);
+      const nx = -ry, ny = rx;
+
+      const signature = new Float32Array(length);
+      for (let k = 0; k < length; k++) {
+        const d = k - length / 2;
+        let sum = 0, n = 0;
+        for (let j = -BLOCK_SIZE / 2; j < BLOCK_SIZE / 2; j++) {
+          const x = Math.round(cx + d * nx + j * rx);
+          const y = Math.round(cy + d * ny + j * ry);
+          if (x < 0 || y < 0 || x >= width || y >= height) continue;
+          sum += normalized[y * width + x];
+          n++;
+        }
+        signature[k] = n > 0 ? sum / n : 0;
+      }
+
+      const peaks = [];
+      for (let k = 1; k < length - 1; k++) {
+        const smooth = (signature[k - 1] + 2 * signature[k] + signature[k + 1]) / 4;
+        const before = k > 1 ? (signature[k - 2] + 2 * signature[k - 1] + signature[k]) / 4 : -Infinity;
+        const after = k < length - 2 ? (signature[k] + 2 * signature[k + 1] + signature[k + 2]) / 4 : -Infinity;
+        if (smooth > 0 && smooth > before && smooth >= after) {
+          peaks.push(k);
+        }
+      }
+
+      if (peaks.length >= 2) {
+        const value = (peaks[peaks.length - 1] - peaks[0]) / (peaks.length - 1);
+        if (value >= MIN_WAVELENGTH && value <= MAX_WAVELENGTH) {
+          wavelength[i] = value;
+          measured[i] = 1;
+        }
+      }
+    }
+  }
+
+  // Fill blocks without a measurement from their neighbours
+  for (let pass = 0; pass < Math.max(cols, rows); pass++) {
+    let missing = 0;
+    const filled = wavelength.slice();
+    for (let by = 0; by < rows; by++) {
+      for (let bx = 0; bx < cols; bx++) {
+        const i = by * cols + bx;
+        if (!blocks[i] || wavelength[i]) continue;
+        let sum = 0, n = 0;
+        for (const [dx, dy] of NEIGHBORS) {
+          const x = bx + dx, y = by + dy;
+          if (x < 0 || y < 0 || x >= cols || y >= rows || !wavelength[y * cols + x]) continue;
+          sum += wavelength[y * cols + x];
+          n++;
+        }
+        if (n > 0) filled[i] = sum / n;
+        else missing++;
+      }
+    }
+    wavelength.set(filled);
+    if (missing === 0) break;
+  }
+
+  const smoothed = new Float32Array(cols * rows);
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      const i = by * cols + bx;
+      if (!blocks[i]) continue;
+      let sum = 0, n = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const x = bx + dx, y = by + dy;
+          if (x < 0 || y < 0 || x >= cols || y >= rows || !wavelength[y * cols + x]) continue;
+          sum += wavelength[y * cols + x];
+          n++;
+        }
+      }
+      smoothed[i] = n > 0 ? sum / n : DEFAULT_WAVELENGTH;
+    }
+  }
+
+  return { wavelength: smoothed, measured };
+}
+
+// ========== Enhancement ==========
+
+const gaborKernels = new Map();
+
+/**
+ * Even-symmetric Gabor kernel for a ridge orientation bin and wavelength,
+ * zero-mean so that flat areas give no response
+ */
+function gaborKernel(bin, wavelength) {
+  const key = `${bin}:${wavelength}`;
+  if (gaborKernels.has(key)) {
+    return gaborKernels.get(key);
+  }
+
+  const sigma = GABOR_SIGMA_RATIO * wavelength;
+  const radius = Math.ceil(2.5 * sigma);
+  const size = 2 * radius + 1;
+  const theta = (bin * Math.PI) / ORIENTATION_BINS;
+  // Unit vector across the ridges
+  const nx = -Math.sin(theta), ny = Math.cos(theta);
+
+  const weights = new Float32Array(size * size);
+  let sum = 0, envelopeSum = 0;
+  const envelope = new Float32Array(size * size);
+  for (let y = -radius; y <= radius; y++) {
+    for (let x = -radius; x <= radius; x++) {
+      const i = (y + radius) * size + x + radius;
+      envelope[i] = Math.exp(-(x * x + y * y) / (2 * sigma * sigma));
+      weights[i] = envelope[i] * Math.cos((2 * Math.PI * (x * nx + y * ny)) / wavelength);
+      sum += weights[i];
+      envelopeSum += envelope[i];
+    }
+  }
+  for (let i = 0; i < weights.length; i++) {
+    weights[i] -= (sum / envelopeSum) * envelope[i];
+  }
+
+  const kernel = { radius, size, weights };
+  gaborKernels.set(key, kernel);
+  return kernel;
+}
+
+/**
+ * Gabor-filtered image: positive on ridges, negative in valleys, 0 outside
+ * the finger
+ */
+function enhance(normalized, width, height, seg, orientation, wavelength) {
+  const { cols, blocks, mask } = seg;
+  const enhanced = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!mask[i]) continue;
+
+      const block = Math.floor(y / BLOCK_SIZE) * cols + Math.floor(x / BLOCK_SIZE);
+      if (!blocks[block]) continue;
+
+      const bin = Math.round((orientation[block] / Math.PI) * ORIENTATION_BINS) % ORIENTATION_BINS;
+      const lambda = Math.min(MAX_WAVELENGTH, Math.max(MIN_WAVELENGTH, Math.round(wavelength[block])));
+      const { radius, size, weights } = gaborKernel(bin, lambda);
+
+      let sum = 0;
+      for (let ky = -radius; ky <= radius; ky++) {
+        const sy = Math.min(height - 1, Math.max(0, y + ky)) * width;
+        const row = (ky + radius) * size + radius;
+        for (let kx = -radius; kx <= radius; kx++) {
+          const sx = Math.min(width - 1, Math.max(0, x + kx));
+          sum += weights[row + kx] * normalized[sy + sx];
+        }
+      }
+      enhanced[i] = sum;
+    }
+  }
+
+  return enhanced;
+}
+
+// ========== Skeleton ==========
+
+function neighborValues(image, width, height, x, y) {
+  return NEIGHBORS.map(([dx, dy]) => {
+    const nx = x + dx, ny = y + dy;
+    return nx < 0 || ny < 0 || nx >= width || ny >= height ? 0 : image[ny * width + nx];
+  });
+}
+
+/**
+ * Zhang-Suen thinning of a binary ridge image, in place
+ */
+function thin(binary, width, height) {
+  let changed = true;
+  const remove = [];
+
+  while (changed) {
+    changed = false;
+    for (let step = 0; step < 2; step++) {
+      remove.length = 0;
+      for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+          const i = y * width + x;
+          if (!binary[i]) continue;
+
+          // p2..p9 clockwise from north
+          const p2 = binary[i - width], p3 = binary[i - width + 1], p4 = binary[i + 1];
+          const p5 = binary[i + width + 1], p6 = binary[i + width], p7 = binary[i + width - 1];
+          const p8 = binary[i - 1], p9 = binary[i - width - 1];
+          const count = p2 + p3 + p4 + p5 + p6 + p7 + p8 + p9;
+          if (count < 2 || count > 6) continue;
+
+          const sequence = [p2, p3, p4, p5, p6, p7, p8, p9, p2];
+          let transitions = 0;
+          for (let k = 0; k < 8; k++) {
+            if (!sequence[k] && sequence[k + 1]) transitions++;
+          }
+          if (transitions !== 1) continue;
+
+          if (step === 0 ? (p2 * p4 * p6 === 0 && p4 * p6 * p8 === 0) : (p2 * p4 * p8 === 0 && p2 * p6 * p8 === 0)) {
+            remove.push(i);
+          }
+        }
+      }
+
+      for (const i of remove) binary[i] = 0;
+      if (remove.length > 0) changed = true;
+    }
+  }
+
+  return binary;
+}
+
+/**
+ * Crossing number: 1 at a ridge ending, 2 along a ridge, 3+ at a bifurcation
+ */
+function crossingNumber(skeleton, width, height, x, y) {
+  const values = neighborValues(skeleton, width, height, x, y);
+  let transitions = 0;
+  for (let k = 0; k < 8; k++) {
+    transitions += Math.abs(values[k] - values[(k + 1) % 8]);
+  }
+  return transitions / 2;
+}
+
+/**
+ * Follow a skeleton ridge from (x, y) through its neighbour `first` for up
+ * to maxLength pixels. Stops at the next ending or bifurcation.
+ * Returns { x, y, length, stop: 'ending' | 'bifurcation' | 'open' }.
+ */
+function traceRidge(skeleton, width, height, start, first, maxLength) {
+  const visited = new Set([start.y * width + start.x]);
+  for (const [dx, dy] of NEIGHBORS) {
+    visited.add((start.y + dy) * width + start.x + dx);
+  }
+
+  let previous = start;
+  let current = first;
+  for (let length = 1; length <= maxLength; length++) {
+    const cn = crossingNumber(skeleton, width, height, current.x, current.y);
+    const nearStart = Math.max(Math.abs(current.x - start.x), Math.abs(current.y - start.y)) <= 1;
+    if (cn === 1) {
+      return { ...current, length, stop: 'ending' };
+    }
+    if (cn >= 3 && !nearStart) {
+      return { ...current, length, stop: 'bifurcation' };
+    }
+
+    // Step to the unvisited neighbour furthest from where we came from
+    let next = null, best = -1;
+    for (const [dx, dy] of NEIGHBORS) {
+      const x = current.x + dx, y = current.y + dy;
+      if (x < 0 || y < 0 || x >= width || y >= height) continue;
+      const i = y * width + x;
+      if (!skeleton[i] || visited.has(i)) continue;
+      const distance = (x - previous.x) ** 2 + (y - previous.y) ** 2;
+      if (distance > best) {
+        best = distance;
+        next = { x, y };
+      }
+    }
+
+    for (const [dx, dy] of NEIGHBORS) {
+      visited.add((current.y + dy) * width + current.x + dx);
+    }
+    visited.add(current.y * width + current.x);
+
+    if (!next) {
+      return { ...current, length, stop: 'ending' };
+    }
+    previous = current;
+    current = next;
+  }
+
+  return { ...current, length: maxLength, stop: 'open' };
+}
+
+/**
+ * One starting pixel per ridge leaving (x, y): the first pixel of each run
+ * of set neighbours around it
+ */
+function branches(skeleton, width, height, x, y) {
+  const values = neighborValues(skeleton, width, height, x, y);
+  const starts = [];
+  for (let k = 0; k < 8; k++) {
+    if (values[k] && !values[(k + 7) % 8]) {
+      starts.push({ x: x + NEIGHBORS[k][0], y: y + NEIGHBORS[k][1] });
+    }
+  }
+  return starts;
+}
+
+// ========== Minutiae ==========
+
+function angleBetween(a, b) {
+  const diff = Math.abs(a - b) % (2 * Math.PI);
+  return diff > Math.PI ? 2 * Math.PI - diff : diff;
+}
+
+/**
+ * Find endings and bifurcations on the skeleton and trace their ridges.
+ * Directions point away from the ridge for endings and away from the stem
+ * (into the fork) for bifurcations.
+ */
+function detect(skeleton, width, height, seg, wavelength) {
+  const { cols } = seg;
+  const found = [];
+  const junctions = new Set();
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      if (!skeleton[i]) continue;
+
+      const cn = crossingNumber(skeleton, width, height, x, y);
+      if (cn !== 1 && cn < 3) continue;
+
+      const lambda = wavelength[Math.floor(y / BLOCK_SIZE) * cols + Math.floor(x / BLOCK_SIZE)] || DEFAULT_WAVELENGTH;
+      const traceLength = Math.round(1.5 * lambda);
+      const point = { x, y };
+
+      if (cn === 1) {
+        const [first] = branches(skeleton, width, height, x, y);
+        if (!first) continue;
+        const trace = traceRidge(skeleton, width, height, point, first, traceLength);
+        found.push({
+          x, y, lambda,
+          type: MINUTIA_TYPE.ENDING,
+          direction: Math.atan2(y - trace.y, x - trace.x),
+          traces: [trace]
+        });
+        continue;
+      }
+
+      // Adjacent junction pixels describe one bifurcation
+      if (NEIGHBORS.some(([dx, dy]) => junctions.has((y + dy) * width + x + dx))) {
+        junctions.add(i);
+        continue;
+      }
+      junctions.add(i);
+
+      const traces = branches(skeleton, width, height, x, y)
+        .map(first => traceRidge(skeleton, width, height, point, first, traceLength));
+      if (traces.length < 3) continue;
+
+      // The two branches closest in direction form the fork; the other is the stem
+      const angles = traces.map(t => Math.atan2(t.y - y, t.x - x));
+      let stem = 0, closest = Infinity;
+      for (let a = 0; a < angles.length; a++) {
+        for (let b = a + 1; b < angles.length; b++) {
+          const diff = angleBetween(angles[a], angles[b]);
+          if (diff < closest) {
+            closest = diff;
+            stem = [0, 1, 2].find(k => k !== a && k !== b);
+          }
+        }
+      }
+
+      found.push({
+        x, y, lambda,
+        type: MINUTIA_TYPE.BIFURCATION,
+        direction: Math.atan2(y - traces[stem].y, x - traces[stem].x),
+        traces
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Drop minutiae that are artefacts of the border, noise or thinning
+ */
+function removeSpurious(found, width, height, distance) {
+  const removed = new Set();
+  const near = (m, point, radius) => Math.hypot(m.x - point.x, m.y - point.y) <= radius;
+  const findAt = (point, type) => found.find(m => m.type === type && near(m, point, 2));
+
+  for (const m of found) {
+    // Ridges cut off by the edge of the finger end at the border
+    if (distance[m.y * width + m.x] < BORDER_MARGIN) {
+      removed.add(m);
+      continue;
+    }
+
+    for (const trace of m.traces) {
+      if (trace.stop === 'open' || trace.length > m.lambda) continue;
+
+      if (m.type === MINUTIA_TYPE.ENDING && trace.stop === 'bifurcation') {
+        // Spur: a short branch hanging off a ridge
+        removed.add(m);
+        const fork = findAt(trace, MINUTIA_TYPE.BIFURCATION);
+        if (fork) removed.add(fork);
+      } else if (m.type === MINUTIA_TYPE.ENDING && trace.stop === 'ending') {
+        // Short ridge fragment (islands, dots)
+        removed.add(m);
+        const other = findAt(trace, MINUTIA_TYPE.ENDING);
+        if (other) removed.add(other);
+      } else if (m.type === MINUTIA_TYPE.BIFURCATION && trace.stop === 'bifurcation') {
+        // Bridge between two neighbouring ridges
+        removed.add(m);
+        const other = findAt(trace, MINUTIA_TYPE.BIFURCATION);
+        if (other) removed.add(other);
+      }
+    }
+  }
+
+  const remaining = found.filter(m => !removed.has(m));
+
+  for (let a = 0; a < remaining.length; a++) {
+    for (let b = a + 1; b < remaining.length; b++) {
+      const m1 = remaining[a], m2 = remaining[b];
+      const gap = Math.hypot(m1.x - m2.x, m1.y - m2.y);
+      const lambda = Math.min(m1.lambda, m2.lambda);
+
+      // A broken ridge leaves two endings facing each other across the gap
+      if (m1.type === MINUTIA_TYPE.ENDING && m2.type === MINUTIA_TYPE.ENDING && gap <= 1.5 * lambda &&
+          angleBetween(m1.direction, m2.direction + Math.PI) < Math.PI / 4) {
+        removed.add(m1);
+        removed.add(m2);
+      }
+
+      // Minutiae crowded closer than half a ridge spacing are noise
+      if (gap < lambda / 2) {
+        removed.add(m1);
+        removed.add(m2);
+      }
+    }
+  }
+
+  return remaining.filter(m => !removed.has(m));
+}
+
+// ========== Pipeline ==========
+
+// Last analysis per image buffer, shared by quality assessment and extraction
+const analyses = new WeakMap();
+
+/**
+ * Run the enhancement pipeline and return its intermediate results:
+ * segmentation, orientation/coherence and wavelength per block, the
+ * normalized and enhanced images and the ridge skeleton
+ */
+function analyzeRidges(imageData, width, height) {
+  const cached = analyses.get(imageData);
+  if (cached && cached.width === width && cached.height === height) {
+    return cached.analysis;
+  }
+
+  const seg = segment(imageData, width, height);
+  const normalized = normalize(imageData, seg.mask);
+  const { orientation, coherence } = orientationField(normalized, width, height, seg);
+  const { wavelength, measured } = frequencyField(normalized, width, height, seg, orientation);
+  const enhanced = enhance(normalized, width, height, seg, orientation, wavelength);
+
+  const skeleton = new Uint8Array(width * height);
+  for (let i = 0; i < skeleton.length; i++) {
+    skeleton[i] = enhanced[i] > 0 ? 1 : 0;
+  }
+  thin(skeleton, width, height);
+
+  const analysis = {
+    blockSize: BLOCK_SIZE,
+    ...seg,
+    orientation,
+    coherence,
+    wavelength,
+    measured,
+    normalized,
+    enhanced,
+    skeleton
+  };
+  analyses.set(imageData, { width, height, analysis });
+  return analysis;
+}
+
+/**
+ * Extract minutiae from an 8-bit grayscale image.
+ * Returns [{ x, y, angle, type }] with angle in template encoding.
+ */
+function extractMinutiae(imageData, width, height) {
+  if (!imageData || imageData.length < width * height || width < 3 * BLOCK_SIZE || height < 3 * BLOCK_SIZE) {
+    return [];
+  }
+
+  const analysis = analyzeRidges(imageData, width, height);
+  const distance = distanceToBackground(analysis.mask, width, height);
+  const found = detect(analysis.skeleton, width, height, analysis, analysis.wavelength);
+  let minutiae = removeSpurious(found, width, height, distance);
+
+  // Keep the most reliable minutiae (strongest ridge flow) if there are too many
+  if (minutiae.length > MAX_MINUTIAE) {
+    const reliability = m => analysis.coherence[Math.floor(m.y / BLOCK_SIZE) * analysis.cols + Math.floor(m.x / BLOCK_SIZE)];
+    minutiae = minutiae
+      .sort((a, b) => reliability(b) - reliability(a))
+      .slice(0, MAX_MINUTIAE)
+      .sort((a, b) => a.y - b.y || a.x - b.x);
+  }
+
+  return minutiae.map(m => ({
+    x: m.x,
+    y: m.y,
+    angle: encodeAngle(m.direction),
+    type: m.type
+  }));
+}
+
+module.exports = {
+  extractMinutiae,
+  analyzeRidges,
+  encodeAngle,
+  MINUTIA_TYPE,
+  MAX_MINUTIAE
+};
@@ -0,0 +1,172 @@
+/**
+ * Neighbourhood Matcher - pairs minutiae by their local structure
+ *
+ * Each minutia is described by its nearest neighbours: the distance to
+ * each, the direction it lies in and its ridge angle, both relative to the
+ * minutia's own angle. The description does not change when the finger is
+ * moved or rotated, so no global alignment is searched for: minutiae whose
+ * neighbourhoods agree are paired one-to-one, most similar first. Chance
+ * agreements are then dropped by keeping only the pairs consistent with
+ * the transform implied by one of the most similar pairs.
+ *
+ * Minutiae are { x, y, angle, type } with angle in template encoding
+ * (0-255 for a full turn), as for matcher.js.
+ */
+
+const { decodeAngle, angleDifference } = require('./matcher');
+
+// Neighbours describing each minutia
+const NEIGHBOURS = 5;
+
+// Tolerances when comparing two neighbours
+const NEIGHBOUR_DISTANCE_TOLERANCE = 8;
+const NEIGHBOUR_ANGLE_TOLERANCE = Math.PI / 8;
+
+// Share of neighbours that must agree for two minutiae to be paired
+const MIN_SIMILARITY = 0.4;
+
+// Largest finger rotation between two impressions
+const MAX_ROTATION = Math.PI / 4;
+
+// Most similar pairs tried as the reference transform
+const REFERENCE_PAIRS = 5;
+
+// Tolerances for a pair to be consistent with the reference transform
+const DISTANCE_TOLERANCE = 15;
+const ANGLE_TOLERANCE = Math.PI / 6;
+
+// Smaller sets are scored as if they had this many minutiae, so a handful
+// of chance pairings cannot reach a high score
+const MIN_SCORED_MINUTIAE = 12;
+
+/**
+ * Minutiae as points with their neighbourhoods: { x, y, angle, type,
+ * neighbours: [{ distance, direction, angle }] }, nearest first
+ */
+function describe(minutiae) {
+  const points = minutiae.map(m => ({ x: m.x, y: m.y, angle: decodeAngle(m.angle), type: m.type }));
+
+  for (const p of points) {
+    p.neighbours = points
+      .filter(q => q !== p)
+      .map(q => ({
+        distance: Math.hypot(q.x - p.x, q.y - p.y),
+        direction: angleDifference(Math.atan2(q.y - p.y, q.x - p.x), p.angle),
+        angle: angleDifference(q.angle, p.angle)
+      }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, NEIGHBOURS);
+  }
+  return points;
+}
+
+/**
+ * Share (0-1) of the neighbours of two minutiae that agree, each neighbour
+ * used once
+ */
+function similarity(p, q) {
+  const used = new Set();
+  let agreed = 0;
+
+  for (const a of p.neighbours) {
+    let best = -1;
+    let bestDistance = Infinity;
+    q.neighbours.forEach((b, k) => {
+      if (used.has(k)) return;
+      const distance = Math.abs(a.distance - b.distance);
+      if (distance > NEIGHBOUR_DISTANCE_TOLERANCE || distance >= bestDistance) return;
+      if (Math.abs(angleDifference(a.direction, b.direction)) > NEIGHBOUR_ANGLE_TOLERANCE) return;
+      if (Math.abs(angleDifference(a.angle, b.angle)) > NEIGHBOUR_ANGLE_TOLERANCE) return;
+      best = k;
+      bestDistance = distance;
+    });
+    if (best >= 0) {
+      used.add(best);
+      agreed++;
+    }
+  }
+
+  const described = Math.min(p.neighbours.length, q.neighbours.length);
+  return described > 0 ? agreed / described : 0;
+}
+
+/**
+ * Minutiae pairs whose neighbourhoods agree, most similar first
+ */
+function similarPairs(probe, candidate) {
+  const pairs = [];
+  probe.forEach((p, i) => {
+    candidate.forEach((q, j) => {
+      const rotation = angleDifference(q.angle, p.angle);
+      if (Math.abs(rotation) > MAX_ROTATION) return;
+      const value = similarity(p, q);
+      if (value < MIN_SIMILARITY) return;
+      // Pairs of the same minutia type are preferred on equal similarity
+      pairs.push({ i, j, rotation, similarity: value + (p.type === q.type ? 0.01 : 0) });
+    });
+  });
+  return pairs.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Pair one-to-one, in order of similarity, the pairs consistent with the
+ * transform that maps one reference pair onto each other. Returns the
+ * number of pairs and the transform.
+ */
+function consolidate(probe, candidate, pairs, reference) {
+  const rotation = reference.rotation;
+  const cos = Math.cos(rotation), sin = Math.sin(rotation);
+  const p0 = probe[reference.i];
+  const q0 = candidate[reference.j];
+  const dx = q0.x - (cos * p0.x - sin * p0.y);
+  const dy = q0.y - (sin * p0.x + cos * p0.y);
+
+  const usedProbe = new Set();
+  const usedCandidate = new Set();
+  for (const { i, j } of pairs) {
+    if (usedProbe.has(i) || usedCandidate.has(j)) continue;
+    const p = probe[i];
+    const q = candidate[j];
+    const x = cos * p.x - sin * p.y + dx;
+    const y = sin * p.x + cos * p.y + dy;
+    if (Math.hypot(q.x - x, q.y - y) > DISTANCE_TOLERANCE) continue;
+    if (Math.abs(angleDifference(q.angle, p.angle + rotation)) > ANGLE_TOLERANCE) continue;
+    usedProbe.add(i);
+    usedCandidate.add(j);
+  }
+
+  return { matched: usedProbe.size, alignment: { rotation, dx, dy } };
+}
+
+/**
+ * Pair two minutiae sets by neighbourhood.
+ * Returns { score (0-100), matchedMinutiae, totalMinutiae, alignment }
+ * as matchMinutiae() in matcher.js does.
+ */
+function matchNeighbourhoods(minutiae1, minutiae2) {
+  const probe = describe(minutiae1);
+  const candidate = describe(minutiae2);
+  const totalMinutiae = Math.min(probe.length, candidate.length);
+  const pairs = similarPairs(probe, candidate);
+
+  let best = { matched: 0, alignment: { rotation: 0, dx: 0, dy: 0 } };
+  for (const reference of pairs.slice(0, REFERENCE_PAIRS)) {
+    const result = consolidate(probe, candidate, pairs, reference);
+    if (result.matched > best.matched) {
+      best = result;
+    }
+  }
+
+  return {
+    score: totalMinutiae > 0 ? Math.round((best.matched / Math.max(totalMinutiae, MIN_SCORED_MINUTIAE)) * 100) : 0,
+    matchedMinutiae: best.matched,
+    totalMinutiae,
+    alignment: {
+      rotation: Math.round((best.alignment.rotation * 180 / Math.PI) * 10) / 10,
+      dx: Math.round(best.alignment.dx),
+      dy: Math.round(best.alignment.dy)
+    }
+  };
+}
+
+module.exports = { matchNeighbourhoods };
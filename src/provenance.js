@@ -0,0 +1,78 @@
+/**
+ * Template Provenance - where each template extracted by this server came from
+ *
+ * When the server extracts a template (from its own scanner captures, or
+ * from an image a bridge client uploads for processing) it records the
+ * template's SHA-256 digest with the capture source and the quality it
+ * measured. A template presented later, ready-made, is traced back to that
+ * capture: a synthetic capture cannot be passed off as a hardware one, and
+ * the quality is the server's own, not the client's.
+ *
+ * Records are kept in the database, so they survive restarts. They are only
+ * needed between capture and enrollment or verification, and ones older
+ * than RETENTION_DAYS are pruned at startup.
+ */
+
+const crypto = require('crypto');
+const db = require('./database');
+const { CAPTURE_SOURCE } = require('./fingerprint');
+
+const RETENTION_DAYS = 30;
+
+// Sources that mean a finger was on a real sensor
+const HARDWARE_SOURCES = [CAPTURE_SOURCE.BULK, CAPTURE_SOURCE.CONTROL];
+
+function digest(template) {
+  return crypto.createHash('sha256').update(template).digest('hex');
+}
+
+/**
+ * Record a template extracted here. captureSource is null when the bridge
+ * that sent the image did not report one. A template already recorded as
+ * synthetic stays synthetic.
+ */
+function record(template, { captureSource = null, quality = null, deviceSerial = null } = {}) {
+  db.prepare(`
+    INSERT INTO template_provenance (digest, capture_source, quality, device_serial)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (digest) DO UPDATE SET
+      capture_source = CASE WHEN capture_source = ? THEN capture_source ELSE excluded.capture_source END,
+      quality = excluded.quality,
+      device_serial = excluded.device_serial,
+      created_at = CURRENT_TIMESTAMP
+  `).run(digest(template), captureSource, quality, deviceSerial, CAPTURE_SOURCE.SYNTHETIC);
+}
+
+/**
+ * Provenance of a template: { captureSource, quality, deviceSerial }, or
+ * null if it was not extracted here
+ */
+function lookup(template) {
+  if (!Buffer.isBuffer(template)) return null;
+
+  const row = db.prepare('SELECT capture_source, quality, device_serial FROM template_provenance WHERE digest = ?')
+    .get(digest(template));
+  return row
+    ? { captureSource: row.capture_source, quality: row.quality, deviceSerial: row.device_serial }
+    : null;
+}
+
+function isHardwareSource(captureSource) {
+  return HARDWARE_SOURCES.includes(captureSource);
+}
+
+function prune() {
+  const { changes } = db.prepare(`DELETE FROM template_provenance WHERE created_at < datetime('now', ?)`)
+    .run(`-${RETENTION_DAYS} days`);
+  if (changes > 0) {
+    console.log(`[DATABASE] Pruned ${changes} template provenance record(s) older than ${RETENTION_DAYS} days`);
+  }
+}
+
+prune();
+
+module.exports = {
+  record,
+  lookup,
+  isHardwareSource
+};
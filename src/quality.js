@@ -0,0 +1,165 @@
+/**
+ * Fingerprint Image Quality - NFIQ 2 style assessment
+ *
+ * Scores an image from features of the ridge analysis in minutiae.js:
+ *
+ *   - Orientation certainty: how consistent the ridge flow is in each block
+ *   - Local clarity: how cleanly grey levels separate ridges from valleys
+ *   - Ridge-valley uniformity: how steady the ridge/valley width ratio is
+ *   - Ridge frequency: share of blocks with a natural ridge spacing
+ *   - Foreground area: how much of the sensor the finger covers
+ *   - Minutiae count
+ *
+ * Returns an overall score (0-100) and a per-block quality map, so callers
+ * can gate captures (minQuality) and enrollment on either.
+ */
+
+const { analyzeRidges, extractMinutiae } = require('./minutiae');
+
+// Contribution of each feature to the overall score
+const FEATURE_WEIGHTS = {
+  orientationCertainty: 0.25,
+  localClarity: 0.25,
+  ridgeValleyUniformity: 0.1,
+  ridgeFrequency: 0.1,
+  foregroundArea: 0.15,
+  minutiaeCount: 0.15
+};
+
+// Foreground share and minutiae count that earn the full feature score
+const FULL_FOREGROUND_AREA = 0.5;
+const FULL_MINUTIAE_COUNT = 25;
+
+// Blocks scoring below this have no usable ridges: they do not count
+// towards the foreground area, and minutiae found in them are not counted
+const USABLE_BLOCK_QUALITY = 50;
+
+/**
+ * Separation of ridge and valley grey levels in a block (0..1). Pixels are
+ * labelled ridge or valley by the enhanced image; the share of each that
+ * falls on the wrong side of the midpoint between the two means is the
+ * overlap. Random texture overlaps by half and scores 0.
+ */
+function localClarity(analysis, width, height, bx, by) {
+  const { blockSize, normalized, enhanced } = analysis;
+  const ridge = [], valley = [];
+
+  for (let y = by * blockSize; y < Math.min(height, (by + 1) * blockSize); y++) {
+    for (let x = bx * blockSize; x < Math.min(width, (bx + 1) * blockSize); x++) {
+      const i = y * width + x;
+      (enhanced[i] > 0 ? ridge : valley).push(normalized[i]);
+    }
+  }
+  if (ridge.length === 0 || valley.length === 0) return 0;
+
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const midpoint = (mean(ridge) + mean(valley)) / 2;
+  const ridgeOverlap = ridge.filter(v => v < midpoint).length / ridge.length;
+  const valleyOverlap = valley.filter(v => v > midpoint).length / valley.length;
+
+  return Math.max(0, 1 - (ridgeOverlap + valleyOverlap));
+}
+
+/**
+ * Steadiness of ridge/valley width ratios along a line across the ridges
+ * through the block centre (0..1, 1 = perfectly even)
+ */
+function ridgeValleyUniformity(analysis, width, height, bx, by, block) {
+  const { blockSize, orientation, enhanced } = analysis;
+  const cx = bx * blockSize + blockSize / 2;
+  const cy = by * blockSize + blockSize / 2;
+  const nx = -Math.sin(orientation[block]), ny = Math.cos(orientation[block]);
+
+  // Run lengths of ridge / valley pixels; the partial runs at each end are dropped
+  const runs = [];
+  let current = null;
+  for (let d = -blockSize; d < blockSize; d++) {
+    const x = Math.round(cx + d * nx), y = Math.round(cy + d * ny);
+    if (x < 0 || y < 0 || x >= width || y >= height) continue;
+    const isRidge = enhanced[y * width + x] > 0;
+    if (current && current.ridge === isRidge) {
+      current.length++;
+    } else {
+      current = { ridge: isRidge, length: 1 };
+      runs.push(current);
+    }
+  }
+  const complete = runs.slice(1, -1);
+
+  const ratios = [];
+  for (let k = 0; k + 1 < complete.length; k += 2) {
+    const [a, b] = [complete[k], complete[k + 1]];
+    const ridgeWidth = a.ridge ? a.length : b.length;
+    const valleyWidth = a.ridge ? b.length : a.length;
+    ratios.push(ridgeWidth / valleyWidth);
+  }
+  if (ratios.length < 2) return 0;
+
+  const mean = ratios.reduce((sum, r) => sum + r, 0) / ratios.length;
+  const std = Math.sqrt(ratios.reduce((sum, r) => sum + (r - mean) ** 2, 0) / ratios.length);
+  return Math.max(0, 1 - std / mean);
+}
+
+/**
+ * Assess the quality of an 8-bit grayscale image.
+ * Returns { score, features, minutiaeCount, map } where features are 0-100
+ * and map holds a 0-100 score per block (0 = background).
+ */
+function assessQuality(imageData, width, height) {
+  const analysis = analyzeRidges(imageData, width, height);
+  const { blockSize, cols, rows, blocks, coherence, measured } = analysis;
+  const minutiae = extractMinutiae(imageData, width, height);
+
+  const map = new Array(cols * rows).fill(0);
+  let foreground = 0, usable = 0, certainty = 0, clarity = 0, uniformity = 0, frequency = 0;
+
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < cols; bx++) {
+      const i = by * cols + bx;
+      if (!blocks[i]) continue;
+
+      const blockClarity = localClarity(analysis, width, height, bx, by);
+      const blockUniformity = ridgeValleyUniformity(analysis, width, height, bx, by, i);
+      const blockQuality = 0.4 * coherence[i] + 0.4 * blockClarity + 0.2 * blockUniformity;
+      map[i] = Math.round(100 * blockQuality * (measured[i] ? 1 : 0.5));
+
+      foreground++;
+      certainty += coherence[i];
+      clarity += blockClarity;
+      uniformity += blockUniformity;
+      if (map[i] >= USABLE_BLOCK_QUALITY) {
+        usable++;
+        frequency += measured[i];
+      }
+    }
+  }
+
+  const reliable = minutiae.filter(m => map[Math.floor(m.y / blockSize) * cols + Math.floor(m.x / blockSize)] >= USABLE_BLOCK_QUALITY);
+
+  const average = total => (foreground > 0 ? total / foreground : 0);
+  const scores = {
+    orientationCertainty: average(certainty),
+    localClarity: average(clarity),
+    ridgeValleyUniformity: average(uniformity),
+    ridgeFrequency: average(frequency),
+    foregroundArea: Math.min(1, usable / (cols * rows) / FULL_FOREGROUND_AREA),
+    minutiaeCount: Math.min(1, reliable.length / FULL_MINUTIAE_COUNT)
+  };
+
+  const overall = Object.entries(FEATURE_WEIGHTS)
+    .reduce((sum, [feature, weight]) => sum + weight * scores[feature], 0);
+
+  const features = {};
+  for (const feature of Object.keys(scores)) {
+    features[feature] = Math.round(100 * scores[feature]);
+  }
+
+  return {
+    score: foreground > 0 ? Math.round(100 * overall) : 0,
+    features,
+    minutiaeCount: minutiae.length,
+    map: { blockSize, cols, rows, values: map }
+  };
+}
+
+module.exports = { assessQuality };
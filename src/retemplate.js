@@ -0,0 +1,356 @@
+/**
+ * Template Re-generation - re-extracts templates from archived enrollment images
+ *
+ * Fingerprints enrolled with ARCHIVE_ENROLLMENT_IMAGES keep their source
+ * image (WSQ) and the engine version of their template. When the matcher
+ * engine or its version changes, a job re-extracts every archived
+ * fingerprint whose template is from another version and checks each new
+ * template against what the stored templates already tell us, at the
+ * verification threshold (see check()).
+ *
+ * New templates are staged, not written, and applied together in a single
+ * transaction once every fingerprint has passed. If any fails, the job is
+ * rolled back: nothing is applied. A fingerprint re-enrolled while the job
+ * runs keeps its new enrollment.
+ *
+ * Progress is kept in retemplate_jobs and emitted as 'progress' and 'done'
+ * events. One job runs at a time; a job cut short by a restart is marked
+ * interrupted, and nothing it staged is applied.
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+const wsq = require('./wsq');
+const { getEngine, engineOfVersion } = require('./engines');
+
+const JOB_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  ROLLED_BACK: 'rolled_back',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted'
+};
+
+// Fingerprints read from the database, and re-extracted, per progress report
+const BATCH_SIZE = 10;
+
+// Failures listed in the job status (all of them are counted)
+const MAX_LISTED_FAILURES = 100;
+
+const events = new EventEmitter();
+let runningJobId = null;
+
+function retemplateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Pixels the image is shifted by for the second extraction
+const CHECK_SHIFT = 4;
+
+// Archived fingerprints whose template is not from the given version
+const PENDING = `
+  FROM fingerprints
+  WHERE image IS NOT NULL AND (template_version IS NULL OR template_version != @version)
+`;
+
+function countPending(version) {
+  return db.prepare(`SELECT COUNT(*) AS count ${PENDING}`).get({ version }).count;
+}
+
+/**
+ * Fingerprints a job cannot re-extract because no image was archived:
+ * `legacy` ones, stored before template versions were recorded (matched
+ * while the engine can still read them), and ones from `otherEngine`
+ * (skipped by matching). Both can only be replaced by re-enrolling.
+ */
+function countUnarchived(engine) {
+  const rows = db.prepare(`
+    SELECT template_version, COUNT(*) AS count FROM fingerprints
+    WHERE image IS NULL GROUP BY template_version
+  `).all();
+
+  const counts = { legacy: 0, otherEngine: 0 };
+  for (const row of rows) {
+    if (!row.template_version) {
+      counts.legacy += row.count;
+    } else if (engineOfVersion(row.template_version) !== engine.name) {
+      counts.otherEngine += row.count;
+    }
+  }
+  return counts;
+}
+
+/**
+ * A job as reported by the API, or null
+ */
+function toStatus(job) {
+  if (!job) return null;
+  return {
+    jobId: job.id,
+    status: job.status,
+    templateVersion: job.template_version,
+    total: job.total,
+    processed: job.processed,
+    failed: job.failed,
+    applied: job.applied,
+    skipped: job.skipped,
+    progress: job.total > 0 ? Math.min(100, Math.round((job.processed / job.total) * 100)) : 100,
+    failures: job.failures ? JSON.parse(job.failures) : [],
+    error: job.error,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+  };
+}
+
+function getJob(jobId) {
+  return toStatus(db.prepare('SELECT * FROM retemplate_jobs WHERE id = ?').get(jobId));
+}
+
+function latestJob() {
+  return toStatus(db.prepare('SELECT * FROM retemplate_jobs ORDER BY started_at DESC, rowid DESC LIMIT 1').get());
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Copy of an image moved right and down by `shift` pixels, edges repeated
+ */
+function shiftImage({ imageData, width, height }, shift) {
+  const shifted = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    const sourceRow = Math.max(0, y - shift) * width;
+    for (let x = 0; x < width; x++) {
+      shifted[y * width + x] = imageData[sourceRow + Math.max(0, x - shift)];
+    }
+  }
+  return shifted;
+}
+
+/**
+ * Re-extract one fingerprint from its archived image and check the new
+ * template. Returns { template } or { error, score }.
+ *
+ * The check must not rest on the new engine alone, which could be broken in
+ * a way that agrees with itself (every image giving the same minutiae, say):
+ *
+ * - Same finger. After a version change of the same engine, the new template
+ *   must match the stored one. After an engine change, the new engine must
+ *   match the archived image against a copy shifted by a few pixels, a pair
+ *   the previous engine (which extracted the stored template) also scores.
+ * - Another finger. The new template must not match the one re-extracted
+ *   just before it (`last`, another finger) unless the stored templates of
+ *   the two match as well.
+ *
+ * Without the previous engine installed, a fingerprint cannot be checked.
+ */
+async function check(engine, row, last, threshold) {
+  const previous = getEngine(engineOfVersion(row.template_version));
+  if (!previous) {
+    return { error: `Stored template is from ${row.template_version}, which is not installed; the new template cannot be checked` };
+  }
+
+  // A stored template that fails validation (corrupt) is left for someone
+  // to look at rather than silently replaced
+  try {
+    previous.validate(row.template);
+  } catch (error) {
+    return { error: `Stored template rejected: ${error.message}` };
+  }
+
+  let image;
+  try {
+    image = wsq.decodeWsq(row.image);
+  } catch (error) {
+    return { error: `Archived image unreadable: ${error.message}` };
+  }
+
+  const dpi = image.dpi || undefined;
+  const template = engine.extract(image.imageData, image.width, image.height, dpi);
+  await yieldToEventLoop();
+
+  if (previous.name === engine.name) {
+    const { score } = engine.match(template, row.template, threshold);
+    if (score < threshold) {
+      return { error: `Score ${score} against the stored template below threshold ${threshold}`, score };
+    }
+  } else {
+    const shifted = shiftImage(image, CHECK_SHIFT);
+    const { score } = engine.match(template, engine.extract(shifted, image.width, image.height, dpi), threshold);
+    await yieldToEventLoop();
+    if (score < threshold) {
+      const previousScore = previous.match(row.template, previous.extract(shifted, image.width, image.height, dpi), threshold).score;
+      await yieldToEventLoop();
+      return {
+        error: `Score ${score} against a shifted copy of the image below threshold ${threshold} (${previous.version} scored ${previousScore})`,
+        score
+      };
+    }
+  }
+
+  if (last) {
+    const { score } = engine.match(template, last.template, threshold);
+    if (score >= threshold) {
+      const lastPrevious = getEngine(engineOfVersion(last.row.template_version));
+      const previousScore = lastPrevious === previous
+        ? previous.match(row.template, last.row.template, threshold).score
+        : null;
+      if (previousScore === null || previousScore < threshold) {
+        const stored = previousScore === null ? 'cannot be compared' : `scored ${previousScore}`;
+        return {
+          error: `Score ${score} against fingerprint ${last.row.id}, another finger, at threshold ${threshold} (stored templates ${stored})`,
+          score
+        };
+      }
+    }
+  }
+
+  return { template };
+}
+
+function finish(jobId, status, fields = {}) {
+  db.prepare(`
+    UPDATE retemplate_jobs
+    SET status = ?, applied = ?, skipped = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, fields.applied || 0, fields.skipped || 0, fields.error || null, jobId);
+  db.prepare('DELETE FROM retemplate_staging WHERE job_id = ?').run(jobId);
+}
+
+async function run(engine, jobId, threshold) {
+  const version = engine.version;
+  const select = db.prepare(`
+    SELECT rowid, id, user_id, finger_index, template, template_version, image ${PENDING}
+    AND rowid > @lastRowid ORDER BY rowid LIMIT @limit
+  `);
+  const stage = db.prepare(`
+    INSERT INTO retemplate_staging (job_id, fingerprint_id, previous_template, template)
+    VALUES (?, ?, ?, ?)
+  `);
+  const report = db.prepare('UPDATE retemplate_jobs SET processed = ?, failed = ?, failures = ? WHERE id = ?');
+
+  const failures = [];
+  let processed = 0;
+  let failed = 0;
+  let lastRowid = 0;
+  // The last fingerprint that passed, to check the next one against
+  let last = null;
+
+  for (;;) {
+    // Yield first, so start() returns before any work is done
+    await yieldToEventLoop();
+
+    const rows = select.all({ version, lastRowid, limit: BATCH_SIZE });
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      lastRowid = row.rowid;
+      const result = await check(engine, row, last, threshold);
+      if (result.error) {
+        failed++;
+        if (failures.length < MAX_LISTED_FAILURES) {
+          failures.push({
+            fingerprintId: row.id,
+            userId: row.user_id,
+            fingerIndex: row.finger_index,
+            score: result.score !== undefined ? result.score : null,
+            error: result.error
+          });
+        }
+      } else {
+        stage.run(jobId, row.id, row.template, result.template);
+        last = { row, template: result.template };
+      }
+      processed++;
+
+      // Extraction blocks the event loop; let captures, verifications and
+      // WebSocket traffic through after every fingerprint
+      await yieldToEventLoop();
+    }
+
+    report.run(processed, failed, JSON.stringify(failures), jobId);
+    events.emit('progress', getJob(jobId));
+  }
+
+  if (failed > 0) {
+    finish(jobId, JOB_STATUS.ROLLED_BACK, { skipped: processed });
+    console.warn(`[RETEMPLATE] Job ${jobId} rolled back: ${failed} of ${processed} fingerprint(s) failed the check; no template was changed`);
+    return;
+  }
+
+  // Apply everything at once. Fingerprints whose template changed since it
+  // was staged (re-enrolled meanwhile) are skipped.
+  let applied = 0;
+  db.transaction(() => {
+    applied = db.prepare(`
+      UPDATE fingerprints
+      SET template = s.template, template_version = ?
+      FROM retemplate_staging s
+      WHERE s.job_id = ? AND s.fingerprint_id = fingerprints.id AND s.previous_template = fingerprints.template
+    `).run(version, jobId).changes;
+    finish(jobId, JOB_STATUS.COMPLETED, { applied, skipped: processed - applied });
+  })();
+
+  console.log(`[RETEMPLATE] Job ${jobId} completed: ${applied} of ${processed} template(s) re-extracted as ${version}`);
+}
+
+/**
+ * Start re-extracting every archived fingerprint not yet on the engine's
+ * version, checking new templates at `threshold`. Returns the job status;
+ * the job runs in the background.
+ */
+function start(engine, { threshold }) {
+  const version = engine.version;
+  if (runningJobId) {
+    throw retemplateError('RETEMPLATE_RUNNING', `Re-template job ${runningJobId} is already running`);
+  }
+
+  const jobId = uuidv4();
+  const total = countPending(version);
+  db.prepare(`
+    INSERT INTO retemplate_jobs (id, status, template_version, total)
+    VALUES (?, ?, ?, ?)
+  `).run(jobId, JOB_STATUS.RUNNING, version, total);
+  runningJobId = jobId;
+  console.log(`[RETEMPLATE] Job ${jobId} started: ${total} archived fingerprint(s) to re-extract as ${version}`);
+
+  run(engine, jobId, threshold)
+    .catch(error => {
+      console.error(`[RETEMPLATE] Job ${jobId} failed:`, error.message);
+      finish(jobId, JOB_STATUS.FAILED, { error: error.message });
+    })
+    .finally(() => {
+      runningJobId = null;
+      events.emit('done', getJob(jobId));
+    });
+
+  return getJob(jobId);
+}
+
+/**
+ * Jobs still marked running were cut short by a restart
+ */
+function recoverInterrupted() {
+  const interrupted = db.prepare('SELECT id FROM retemplate_jobs WHERE status = ?').all(JOB_STATUS.RUNNING);
+  for (const { id } of interrupted) {
+    finish(id, JOB_STATUS.INTERRUPTED, { error: 'Server stopped while the job was running' });
+    console.warn(`[RETEMPLATE] Job ${id} was interrupted by a restart; its staged templates were discarded`);
+  }
+}
+
+recoverInterrupted();
+
+module.exports = {
+  start,
+  getJob,
+  latestJob,
+  countPending,
+  countUnarchived,
+  isRunning: () => runningJobId !== null,
+  events,
+  JOB_STATUS
+};
@@ -0,0 +1,301 @@
+/**
+ * Scanner Registry - every SecuGen scanner attached to this workstation
+ *
+ * One SecuGenScanner per USB device, keyed by serial number (or bus/port
+ * address when the device has none). Follows USB hot-plug events so the
+ * list always matches what is physically attached. A scanner that cannot be
+ * reconnected is released, and comes back when its device is re-attached
+ * or found again by discover(). A device whose bus address or serial number
+ * is already tracked is ignored.
+ */
+
+const usb = require('./usb');
+const config = require('./config');
+const { SecuGenScanner, SECUGEN_VENDOR_ID } = require('./fingerprint');
+
+// Scanner events re-emitted by the registry with the originating deviceId
+const FORWARDED_EVENTS = [
+  'connected',
+  'disconnected',
+  'reconnectFailed',
+  'captureStart',
+  'fingerDetected',
+  'captureComplete',
+  'captureError'
+];
+
+class ScannerRegistry {
+  constructor() {
+    this.scanners = new Map();
+    this.duplicates = new WeakSet();
+    this.eventHandlers = {};
+    this.hotplugHandlers = null;
+  }
+
+  /**
+   * Event emitter functionality
+   */
+  on(event, handler) {
+    if (!this.eventHandlers[event]) {
+      this.eventHandlers[event] = [];
+    }
+    this.eventHandlers[event].push(handler);
+  }
+
+  emit(event, data) {
+    if (this.eventHandlers[event]) {
+      this.eventHandlers[event].forEach(handler => handler(data));
+    }
+  }
+
+  /**
+   * Discover attached scanners and start following hot-plug events
+   */
+  async start() {
+    this.startHotplugMonitoring();
+    return this.discover();
+  }
+
+  /**
+   * Stop hot-plug monitoring and disconnect every scanner
+   */
+  async stop() {
+    this.stopHotplugMonitoring();
+    await Promise.all([...this.scanners.values()].map(scanner => scanner.disconnect()));
+  }
+
+  /**
+   * Register and connect every SecuGen device not yet known
+   */
+  async discover() {
+    const devices = usb.getDeviceList().filter(device =>
+      device.deviceDescriptor.idVendor === SECUGEN_VENDOR_ID &&
+      ![...this.scanners.values()].some(scanner => scanner.owns(device))
+    );
+
+    console.log(`[REGISTRY] Discovered ${devices.length} new SecuGen device(s)`);
+
+    const results = [];
+    for (const device of devices) {
+      const scanner = this.add(device);
+      results.push(await scanner.connect());
+      this.rekey(scanner);
+    }
+    return results;
+  }
+
+  /**
+   * Create and register a scanner for a USB device
+   */
+  add(device) {
+    const scanner = new SecuGenScanner(device, {
+      strict: config.strictCapture,
+      reconnect: config.reconnect
+    });
+
+    for (const event of FORWARDED_EVENTS) {
+      scanner.on(event, (data) => {
+        if (this.duplicates.has(scanner)) {
+          return;
+        }
+        if (event === 'connected' && !this.rekey(scanner)) {
+          return;
+        }
+        if (event === 'reconnectFailed') {
+          this.release(scanner);
+        }
+        this.emit(event, { deviceId: scanner.deviceId, ...data });
+      });
+    }
+
+    this.scanners.set(scanner.deviceId, scanner);
+    return scanner;
+  }
+
+  /**
+   * Re-file a scanner under its current deviceId (the serial number only
+   * becomes readable once the device is open). Returns false when another
+   * scanner already holds that serial number and this one was dropped.
+   */
+  rekey(scanner) {
+    if (this.duplicates.has(scanner)) {
+      return false;
+    }
+
+    const tracked = this.scanners.get(scanner.deviceId);
+    if (tracked && tracked !== scanner) {
+      this.dropDuplicate(scanner);
+      return false;
+    }
+
+    for (const [id, entry] of this.scanners) {
+      if (entry === scanner && id !== scanner.deviceId) {
+        this.scanners.delete(id);
+      }
+    }
+    this.scanners.set(scanner.deviceId, scanner);
+    return true;
+  }
+
+  /**
+   * Drop a scanner whose serial number is already tracked, and stop
+   * forwarding its events
+   */
+  dropDuplicate(scanner) {
+    console.warn(`[REGISTRY] Ignoring device with serial ${scanner.deviceId}: already tracked`);
+    this.duplicates.add(scanner);
+    for (const [id, entry] of this.scanners) {
+      if (entry === scanner) {
+        this.scanners.delete(id);
+      }
+    }
+    scanner.cancelReconnect();
+    scanner.disconnect();
+  }
+
+  /**
+   * Drop a scanner that gave up reconnecting. Its device is no longer owned,
+   * so the next attach event or discover() registers it afresh.
+   */
+  release(scanner) {
+    for (const [id, entry] of this.scanners) {
+      if (entry === scanner) {
+        this.scanners.delete(id);
+        console.log(`[REGISTRY] Released scanner ${id}; waiting for it to be re-attached`);
+      }
+    }
+  }
+
+  /**
+   * Get a scanner by deviceId. Without an ID, returns the default scanner:
+   * the first connected one, else the first registered.
+   */
+  get(deviceId) {
+    if (deviceId) {
+      return this.scanners.get(deviceId) || null;
+    }
+
+    const all = [...this.scanners.values()];
+    return all.find(scanner => scanner.isConnected) || all[0] || null;
+  }
+
+  /**
+   * Connect a scanner. Without an ID, re-scans the bus first.
+   */
+  async connect(deviceId) {
+    if (!deviceId) {
+      await this.discover();
+    }
+
+    const scanner = this.get(deviceId);
+    if (!scanner) {
+      return {
+        success: false,
+        error: deviceId
+          ? `Scanner ${deviceId} is not attached`
+          : 'SecuGen scanner not found. Please connect the device.',
+        code: 'DEVICE_NOT_FOUND'
+      };
+    }
+
+    return scanner.connect();
+  }
+
+  /**
+   * Status of every registered scanner
+   */
+  list() {
+    return [...this.scanners.values()].map(scanner => scanner.getStatus());
+  }
+
+  /**
+   * Default scanner's status (for single-scanner clients) plus all devices
+   */
+  getStatus() {
+    const scanner = this.get();
+    const status = scanner
+      ? scanner.getStatus()
+      : { deviceId: null, connected: false, capturing: false, deviceInfo: null };
+
+    return {
+      ...status,
+      devices: this.list()
+    };
+  }
+
+  /**
+   * Subscribe to USB attach/detach events
+   */
+  startHotplugMonitoring() {
+    if (this.hotplugHandlers) {
+      return;
+    }
+
+    this.hotplugHandlers = {
+      attach: (device) => this.handleAttach(device),
+      detach: (device) => this.handleDetach(device)
+    };
+
+    usb.usb.on('attach', this.hotplugHandlers.attach);
+    usb.usb.on('detach', this.hotplugHandlers.detach);
+    console.log('[REGISTRY] USB hot-plug monitoring started');
+  }
+
+  /**
+   * Unsubscribe from USB attach/detach events
+   */
+  stopHotplugMonitoring() {
+    if (!this.hotplugHandlers) {
+      return;
+    }
+
+    usb.usb.removeListener('attach', this.hotplugHandlers.attach);
+    usb.usb.removeListener('detach', this.hotplugHandlers.detach);
+    this.hotplugHandlers = null;
+    console.log('[REGISTRY] USB hot-plug monitoring stopped');
+  }
+
+  /**
+   * A SecuGen device appeared - register it and connect with backoff.
+   * Devices at an address already tracked are ignored here; ones whose
+   * serial is already tracked are dropped by rekey() once connected.
+   */
+  handleAttach(device) {
+    if (device.deviceDescriptor.idVendor !== SECUGEN_VENDOR_ID) {
+      return;
+    }
+
+    const tracked = [...this.scanners.values()].find(scanner => scanner.owns(device));
+    if (tracked) {
+      console.log(`[REGISTRY] Ignoring attach of scanner ${tracked.deviceId}: already tracked`);
+      return;
+    }
+
+    console.log('[REGISTRY] SecuGen device attached');
+    const scanner = this.add(device);
+    this.emit('attached', {
+      deviceId: scanner.deviceId,
+      productId: `0x${device.deviceDescriptor.idProduct.toString(16)}`
+    });
+
+    if (scanner.autoReconnect) {
+      scanner.scheduleReconnect();
+    }
+  }
+
+  /**
+   * A device disappeared - drop the scanner that owned it
+   */
+  handleDetach(device) {
+    for (const [id, scanner] of this.scanners) {
+      if (scanner.owns(device)) {
+        scanner.handleDetach(device);
+        scanner.cancelReconnect();
+        this.scanners.delete(id);
+        console.log(`[REGISTRY] Removed scanner ${id}`);
+      }
+    }
+  }
+}
+
+module.exports = new ScannerRegistry();
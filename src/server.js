@@ -16,10 +16,33 @@ const { v4: uuidv4 } = require('uuid');
 const { WebSocketServer } = require('ws');
 const http = require('http');
 const db = require('./database');
-const scanner = require('./fingerprint');
+const config = require('./config');
+const { SecuGenScanner, CAPTURE_SOURCE } = require('./fingerprint');
+const provenance = require('./provenance');
+const { TEMPLATE_FORMAT } = require('./template-formats');
+const { engine, compareEngine, engineOfVersion, ENGINE_NAMES } = require('./engines');
+const scanners = require('./scanner-registry');
+const usb = require('./usb');
+const usbRecorder = require('./usb-recorder');
+const { renderImage, parseImageFormat, IMAGE_FORMAT, MAX_OUTPUT_DIMENSION } = require('./image-render');
+const wsq = require('./wsq');
+const retemplate = require('./retemplate');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const IDENTIFY_DEFAULT_CANDIDATES = 5;
+const IDENTIFY_MAX_CANDIDATES = 20;
+
+// Finger positions as used by the enrollment UI (0-4 left hand, 5-9 right hand)
+const FINGER_NAMES = [
+  'Left Thumb', 'Left Index', 'Left Middle', 'Left Ring', 'Left Little',
+  'Right Thumb', 'Right Index', 'Right Middle', 'Right Ring', 'Right Little'
+];
+
+// Quality assessment never touches USB, so one shared instance serves
+// images from every scanner and bridge client. Templates come from the
+// matcher engine (see engines/).
+const biometrics = new SecuGenScanner();
 
 // Create HTTP server for both Express and WebSocket
 const server = http.createServer(app);
@@ -87,18 +110,19 @@ wss.on('connection', (ws) => {
   // Send current scanner status
   ws.send(JSON.stringify({
     type: 'status',
-    data: scanner.getStatus()
+    data: scanners.getStatus()
   }));
 
   ws.on('message', async (message) => {
     try {
       const data = JSON.parse(message);
+      const target = scanners.get(data.deviceId);
 
       switch (data.action) {
         case 'capture':
-          ws.send(JSON.stringify({ type: 'captureStart' }));
+          ws.send(JSON.stringify({ type: 'captureStart', deviceId: data.deviceId }));
           try {
-            const result = await scanner.capture({ timeout: data.timeout || 10000 });
+            const result = await captureOn(data.deviceId, { timeout: data.timeout || 10000 });
             ws.send(JSON.stringify({ type: 'captureComplete', data: result }));
           } catch (error) {
             ws.send(JSON.stringify({ type: 'captureError', error: error.message }));
@@ -106,160 +130,1627 @@ wss.on('connection', (ws) => {
           break;
 
         case 'status':
-          ws.send(JSON.stringify({ type: 'status', data: scanner.getStatus() }));
+          ws.send(JSON.stringify({ type: 'status', data: scanners.getStatus() }));
+          break;
+
+        case 'devices':
+          ws.send(JSON.stringify({ type: 'devices', data: scanners.list() }));
           break;
 
         case 'connect':
-          const connectResult = await scanner.connect();
+          const connectResult = await scanners.connect(data.deviceId);
           ws.send(JSON.stringify({ type: 'connectionResult', data: connectResult }));
           break;
+
+        case 'disconnect':
+          ws.send(JSON.stringify({
+            type: 'disconnectResult',
+            data: target ? await target.disconnect() : deviceNotFound(data.deviceId)
+          }));
+          break;
+
+        case 'reconnect':
+          ws.send(JSON.stringify({
+            type: 'connectionResult',
+            data: target ? await target.reconnect() : deviceNotFound(data.deviceId)
+          }));
+          break;
+
+        case 'getSettings':
+          ws.send(JSON.stringify({
+            type: 'settings',
+            data: target
+              ? { success: true, deviceId: target.deviceId, settings: target.getSettings() }
+              : deviceNotFound(data.deviceId)
+          }));
+          break;
+
+        case 'updateSettings': {
+          const parsed = parseDeviceSettings(data.settings || {});
+          let result;
+          if (!target) {
+            result = deviceNotFound(data.deviceId);
+          } else if (parsed.error) {
+            result = { success: false, error: parsed.error, code: parsed.code };
+          } else {
+            result = { success: true, deviceId: target.deviceId, settings: await updateDeviceSettings(target, parsed.settings) };
+          }
+          ws.send(JSON.stringify({ type: 'settings', data: result }));
+          break;
+        }
+
+        case 'resetDevice':
+          ws.send(JSON.stringify({
+            type: 'resetResult',
+            data: target ? await target.resetDevice() : deviceNotFound(data.deviceId)
+          }));
+          break;
       }
     } catch (error) {
       ws.send(JSON.stringify({ type: 'error', error: error.message }));
     }
-  });
+  });
+
+  ws.on('close', () => {
+    console.log('WebSocket client disconnected');
+    wsClients.delete(ws);
+  });
+
+  ws.on('error', (error) => {
+    console.error('WebSocket error:', error);
+    wsClients.delete(ws);
+  });
+});
+
+// Broadcast to all WebSocket clients
+function broadcast(type, data) {
+  const message = JSON.stringify({ type, data });
+  wsClients.forEach(client => {
+    if (client.readyState === 1) { // OPEN
+      client.send(message);
+    }
+  });
+}
+
+// ========== Re-template Jobs ==========
+
+/**
+ * Start re-extracting archived fingerprints whose template is not from the
+ * current engine version. New templates are checked at the default security
+ * level. Throws RETEMPLATE_RUNNING if a job is already running.
+ */
+function startRetemplate() {
+  const security = config.resolveSecurityLevel(config.defaultSecurityLevel);
+  return retemplate.start(engine, { threshold: security.threshold });
+}
+
+retemplate.events.on('progress', (job) => {
+  broadcast('retemplateProgress', job);
+});
+
+retemplate.events.on('done', (job) => {
+  recordAudit('retemplate', job.status);
+  broadcast('retemplateComplete', job);
+});
+
+// ========== Engine Comparison ==========
+
+// Whether a comparison is running; verifications meanwhile are not compared
+let comparing = false;
+
+/**
+ * Whether to score this verification with the comparison engine too: a
+ * sample of MATCHER_COMPARE_RATE of verifications with an image, one at a
+ * time
+ */
+function shouldCompare(probe) {
+  return compareEngine !== null && Boolean(probe.image) && !comparing && Math.random() < config.matcherCompareRate;
+}
+
+/**
+ * Score a 1:1 verification with the comparison engine too (A/B): the same
+ * probe image against the same fingers, those of the claimed user with an
+ * archived image, which the comparison engine extracts itself. Runs after
+ * the response, yielding to other requests between extractions; failures
+ * are logged, never thrown.
+ */
+async function compareVerification(probe, user, fingers, security) {
+  comparing = true;
+  try {
+    const images = new Map(
+      db.prepare('SELECT id, image FROM fingerprints WHERE user_id = ? AND image IS NOT NULL').all(user.id)
+        .map(row => [row.id, row.image])
+    );
+    const compared = fingers.filter(finger => images.has(finger.id));
+    if (compared.length === 0) return;
+
+    const [result] = engine.identify(probe.template, compared, security.threshold);
+
+    const extract = async ({ imageData, width, height, dpi }) => {
+      await new Promise(resolve => setImmediate(resolve));
+      return compareEngine.extract(imageData, width, height, dpi || undefined);
+    };
+    const candidates = [];
+    for (const finger of compared) {
+      candidates.push({ template: await extract(wsq.decodeWsq(images.get(finger.id))) });
+    }
+    const [compareResult] = compareEngine.identify(await extract(probe.image), candidates, security.threshold);
+
+    db.prepare(`
+      INSERT INTO engine_comparisons (user_id, engine, score, match, compare_engine, compare_score, compare_match, threshold, fingers_compared)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      user.id,
+      engine.version,
+      result.score,
+      result.match ? 1 : 0,
+      compareEngine.version,
+      compareResult.score,
+      compareResult.match ? 1 : 0,
+      security.threshold,
+      compared.length
+    );
+    console.log(`[ENGINE] Verify ${user.id}: ${engine.version} ${result.score}, ${compareEngine.version} ${compareResult.score} (threshold ${security.threshold})`);
+  } catch (error) {
+    console.error('[ENGINE] Comparison failed:', error.message);
+  } finally {
+    comparing = false;
+  }
+}
+
+// ========== Scanner Event Handlers ==========
+
+scanners.on('connected', async (data) => {
+  console.log('Scanner connected:', data);
+  await applyStoredSettings(data.deviceId);
+  broadcast('scannerConnected', data);
+});
+
+scanners.on('disconnected', (data) => {
+  console.log('Scanner disconnected', data);
+  broadcast('scannerDisconnected', data);
+});
+
+scanners.on('attached', (data) => {
+  broadcast('scannerAttached', data);
+});
+
+scanners.on('reconnectFailed', (data) => {
+  console.log('Scanner reconnect failed:', data);
+  broadcast('scannerReconnectFailed', data);
+});
+
+scanners.on('captureStart', (data) => {
+  broadcast('captureStart', { deviceId: data.deviceId });
+});
+
+scanners.on('fingerDetected', (data) => {
+  broadcast('fingerDetected', { deviceId: data.deviceId });
+});
+
+scanners.on('captureComplete', (data) => {
+  // Remember where the template came from, for when it is presented back
+  const scanner = scanners.get(data.deviceId);
+  provenance.record(Buffer.from(data.template, 'base64'), {
+    captureSource: data.captureSource,
+    quality: data.quality,
+    deviceSerial: scanner ? scanner.serialNumber : null
+  });
+  broadcast('captureComplete', { deviceId: data.deviceId, quality: data.quality });
+});
+
+scanners.on('captureError', (data) => {
+  broadcast('captureError', data);
+});
+
+// ========== Image Helpers ==========
+
+// Raw 8-bit grayscale frames accepted from bridge clients
+const IMAGE_LIMITS = {
+  minDimension: 100,
+  maxDimension: 1000
+};
+
+// Encodings of images exchanged with clients: raw 8-bit grayscale, or WSQ
+const IMAGE_ENCODING = {
+  RAW: 'raw',
+  WSQ: 'wsq'
+};
+
+function parseImageEncoding(value = IMAGE_ENCODING.RAW) {
+  const encoding = String(value).toLowerCase();
+  return Object.values(IMAGE_ENCODING).includes(encoding) ? encoding : null;
+}
+
+function imageEncodingError(value) {
+  return {
+    error: `Unknown image format "${value}". Use one of: ${Object.values(IMAGE_ENCODING).join(', ')}`,
+    code: 'INVALID_IMAGE_FORMAT'
+  };
+}
+
+/**
+ * Decode a base64 image (raw grayscale, or WSQ when imageFormat is "wsq")
+ * and validate its dimensions. WSQ images carry their own size.
+ * Returns { imageData, width, height, dpi } or { error, code }; dpi is only
+ * known for WSQ images.
+ */
+function decodeRawImage({ image, width, height, imageFormat }) {
+  if (!image || typeof image !== 'string') {
+    return { error: 'Image is required (base64 raw grayscale or WSQ)', code: 'IMAGE_REQUIRED' };
+  }
+
+  const encoding = parseImageEncoding(imageFormat);
+  if (!encoding) {
+    return imageEncodingError(imageFormat);
+  }
+
+  let decoded;
+  if (encoding === IMAGE_ENCODING.WSQ) {
+    try {
+      decoded = wsq.decodeWsq(Buffer.from(image, 'base64'));
+    } catch (error) {
+      return { error: `Invalid WSQ image: ${error.message}`, code: 'INVALID_WSQ' };
+    }
+  } else {
+    decoded = { imageData: Buffer.from(image, 'base64'), width: Number(width), height: Number(height), dpi: null };
+  }
+
+  const { imageData, width: w, height: h, dpi } = decoded;
+  const { minDimension, maxDimension } = IMAGE_LIMITS;
+
+  if (!Number.isInteger(w) || !Number.isInteger(h) ||
+      w < minDimension || h < minDimension || w > maxDimension || h > maxDimension) {
+    return {
+      error: `Invalid image dimensions. Width and height must be integers between ${minDimension} and ${maxDimension}.`,
+      code: 'INVALID_DIMENSIONS'
+    };
+  }
+
+  if (imageData.length !== w * h) {
+    return {
+      error: `Image size mismatch: expected ${w * h} bytes for ${w}x${h}, got ${imageData.length}`,
+      code: 'IMAGE_SIZE_MISMATCH'
+    };
+  }
+
+  return { imageData, width: w, height: h, dpi };
+}
+
+/**
+ * Validate output options for an image render: format, optional output
+ * width / height and the source resolution (default: the image's own, if
+ * known, else the scanner's).
+ * Returns { format, width, height, dpi } or { error, code }.
+ */
+function parseRenderOptions({ format, outputWidth, outputHeight, dpi }, imageDpi = null) {
+  const imageFormat = parseImageFormat(format);
+  if (!imageFormat) {
+    return {
+      error: `Unknown image format "${format}". Use one of: ${Object.keys(IMAGE_FORMAT).map(f => f.toLowerCase()).join(', ')}`,
+      code: 'INVALID_IMAGE_FORMAT'
+    };
+  }
+
+  const size = {};
+  for (const [name, value] of [['outputWidth', outputWidth], ['outputHeight', outputHeight]]) {
+    if (value === undefined) continue;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_OUTPUT_DIMENSION) {
+      return { error: `${name} must be an integer between 1 and ${MAX_OUTPUT_DIMENSION}`, code: 'INVALID_OUTPUT_SIZE' };
+    }
+    size[name === 'outputWidth' ? 'width' : 'height'] = n;
+  }
+
+  const resolution = dpi === undefined ? imageDpi || biometrics.imageConfig.dpi : Number(dpi);
+  if (!Number.isInteger(resolution) || resolution < 100 || resolution > 2000) {
+    return { error: 'dpi must be an integer between 100 and 2000', code: 'INVALID_DPI' };
+  }
+
+  return { format: imageFormat, ...size, dpi: resolution };
+}
+
+/**
+ * Send a rendered image with its type, size and resolution
+ */
+function sendRenderedImage(res, rendered, filename) {
+  res.set({
+    'Content-Type': rendered.contentType,
+    'Content-Disposition': `inline; filename="${filename}.${rendered.extension}"`,
+    'X-Image-Width': rendered.width,
+    'X-Image-Height': rendered.height,
+    'X-Image-DPI': rendered.dpi
+  });
+  res.send(rendered.buffer);
+}
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Decode and validate a base64 template received over the API. ISO 19794-2
+ * and ANSI 378 records are converted to native templates, where the engine
+ * supports them.
+ * Returns { template, format } or { error, code }; rejections are logged.
+ */
+function decodeTemplate(value) {
+  if (typeof value !== 'string' || !BASE64_PATTERN.test(value)) {
+    return { error: 'Malformed template: not base64', code: 'INVALID_TEMPLATE' };
+  }
+
+  try {
+    const buffer = Buffer.from(value, 'base64');
+    if (!engine.importTemplate) {
+      engine.validate(buffer);
+      return { template: buffer, format: TEMPLATE_FORMAT.NATIVE };
+    }
+
+    const { template, format } = engine.importTemplate(buffer);
+    return { template, format };
+  } catch (error) {
+    console.warn(`[SERVER] Rejected template: ${error.message}`);
+    return { error: error.message, code: error.code };
+  }
+}
+
+/**
+ * Resolve a template format name (native, iso-19794-2 / iso, ansi-378 / ansi).
+ * Returns the format or null.
+ */
+function parseTemplateFormat(value = TEMPLATE_FORMAT.NATIVE) {
+  const name = String(value).toLowerCase();
+  const aliases = { iso: TEMPLATE_FORMAT.ISO, ansi: TEMPLATE_FORMAT.ANSI };
+  const format = aliases[name] || name;
+  return Object.values(TEMPLATE_FORMAT).includes(format) ? format : null;
+}
+
+function templateExchangeError() {
+  return {
+    success: false,
+    error: `The ${engine.name} matcher engine does not convert templates to standard formats`,
+    code: 'TEMPLATE_EXCHANGE_UNSUPPORTED'
+  };
+}
+
+function templateFormatError(value) {
+  return {
+    success: false,
+    error: `Unknown template format "${value}". Use one of: ${Object.values(TEMPLATE_FORMAT).join(', ')}`,
+    code: 'INVALID_TEMPLATE_FORMAT'
+  };
+}
+
+/**
+ * Resolve the template for a request carrying either a ready-made `template`
+ * or a raw `image` (with width/height) to be processed here.
+ * Returns { template, templateVersion, quality, qualityFeatures, image } or
+ * { error, code }, plus the captureSource (null if unknown) and the
+ * template's provenance `origin` (null if none). qualityFeatures
+ * and the decoded image are only known for raw images, whose capture source
+ * is `uploaded` (see uploadedCaptureSource). A ready-made template's version is just the
+ * engine name; its quality and capture source are those recorded when this
+ * server extracted it, or null (unknown) - values sent alongside it are not
+ * trusted.
+ */
+function resolveTemplate(body) {
+  if (body.template) {
+    const decoded = decodeTemplate(body.template);
+    if (decoded.error) {
+      return decoded;
+    }
+    const origin = provenance.lookup(decoded.template);
+    return {
+      template: decoded.template,
+      templateVersion: engine.name,
+      quality: origin ? origin.quality : null,
+      captureSource: origin ? origin.captureSource : null,
+      origin
+    };
+  }
+
+  const raw = decodeRawImage(body);
+  if (raw.error) {
+    return raw;
+  }
+
+  const assessment = biometrics.assessQuality(raw.imageData, raw.width, raw.height);
+  return {
+    template: engine.extract(raw.imageData, raw.width, raw.height, raw.dpi || undefined),
+    templateVersion: engine.version,
+    quality: assessment.score,
+    qualityFeatures: assessment.features,
+    captureSource: uploadedCaptureSource(body),
+    origin: null,
+    image: raw
+  };
+}
+
+/**
+ * WSQ copy of an enrollment image to keep with its template, so the template
+ * can be re-extracted when the algorithm changes (see retemplate.js). Null
+ * when archiving is off or the template arrived ready-made.
+ */
+function archiveImage(image) {
+  if (!config.archiveEnrollmentImages || !image) {
+    return null;
+  }
+
+  try {
+    return wsq.encodeWsq(image.imageData, image.width, image.height, {
+      bitrate: config.wsqBitrate,
+      dpi: image.dpi || biometrics.imageConfig.dpi
+    });
+  } catch (error) {
+    console.warn(`[FINGERPRINT] Enrollment image not archived: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Parse a finger index (0-9). Returns null if out of range.
+ */
+function parseFingerIndex(value) {
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 && index < FINGER_NAMES.length ? index : null;
+}
+
+// Stored fingerprints already reported as corrupt (audited once per process)
+const corruptFingerprints = new Set();
+
+// Stored fingerprints already reported as extracted by another engine
+const otherEngineFingerprints = new Set();
+
+/**
+ * Load enrolled fingerprints (every finger) joined with their owner,
+ * optionally limited to one user. Templates that fail validation are
+ * logged and left out, as are templates from another matcher engine.
+ * Legacy templates (no template_version, stored before versions were
+ * recorded) are matched if the engine can read them; one that it cannot
+ * is reported as legacy rather than corrupt.
+ */
+function loadEnrolledFingerprints(userId = null) {
+  const query = `
+    SELECT f.id, f.user_id, f.finger_index, f.template, f.template_version, f.quality, u.name, u.employee_id
+    FROM fingerprints f JOIN users u ON u.id = f.user_id
+  `;
+
+  const rows = userId
+    ? db.prepare(`${query} WHERE f.user_id = ?`).all(userId)
+    : db.prepare(query).all();
+
+  return rows.filter(row => {
+    if (engineOfVersion(row.template_version) !== engine.name) {
+      if (!otherEngineFingerprints.has(row.id)) {
+        otherEngineFingerprints.add(row.id);
+        console.warn(`[DATABASE] Fingerprint ${row.id} (user ${row.user_id}) is from the ${engineOfVersion(row.template_version)} engine; skipped until re-templated or re-enrolled`);
+      }
+      return false;
+    }
+
+    try {
+      engine.validate(row.template);
+      return true;
+    } catch (error) {
+      if (!corruptFingerprints.has(row.id)) {
+        corruptFingerprints.add(row.id);
+        const legacy = !row.template_version;
+        if (legacy) {
+          console.warn(`[DATABASE] Fingerprint ${row.id} (user ${row.user_id}) is a legacy template the ${engine.name} engine cannot read (${error.message}); skipped until re-enrolled`);
+        } else {
+          console.error(`[DATABASE] Fingerprint ${row.id} (user ${row.user_id}) rejected: ${error.message}`);
+        }
+        recordAudit('template', legacy ? 'legacy' : 'corrupt', {
+          userId: row.user_id,
+          patientId: row.employee_id,
+          fingerIndex: row.finger_index
+        });
+      }
+      return false;
+    }
+  });
+}
+
+/**
+ * 1:N search. Scores the probe against every enrolled finger, keeps each
+ * user's best finger and returns users ranked by score (highest first).
+ */
+function rankCandidates(template, limit = IDENTIFY_DEFAULT_CANDIDATES) {
+  const bestByUser = new Map();
+
+  // identify() ranks best first, so each user's first result is their best finger
+  for (const result of engine.identify(template, loadEnrolledFingerprints())) {
+    const enrolled = result.candidate;
+    if (!bestByUser.has(enrolled.user_id)) {
+      bestByUser.set(enrolled.user_id, {
+        userId: enrolled.user_id,
+        patientId: enrolled.employee_id || enrolled.user_id,
+        name: enrolled.name,
+        score: result.score,
+        fingerIndex: enrolled.finger_index,
+        alignment: result.alignment
+      });
+    }
+  }
+
+  const ranked = [...bestByUser.values()];
+  return ranked.slice(0, limit).map((candidate, i) => ({ rank: i + 1, ...candidate }));
+}
+
+/**
+ * Score difference between rank 1 and rank 2 (rank 1's score if it stands alone)
+ */
+function confidenceGap(candidates) {
+  if (candidates.length === 0) return 0;
+  return candidates[0].score - (candidates[1] ? candidates[1].score : 0);
+}
+
+/**
+ * Error body for a security level not defined in config.securityLevels
+ */
+function securityLevelError(value) {
+  return {
+    success: false,
+    error: `Unknown security level "${value}". Use one of: ${Object.keys(config.securityLevels).join(', ')}`,
+    code: 'INVALID_SECURITY_LEVEL'
+  };
+}
+
+/**
+ * Append an entry to the audit trail. Failures are logged, never thrown.
+ */
+function recordAudit(event, result, { userId = null, patientId = null, fingerIndex = null, score = null, security = null, device = null } = {}) {
+  try {
+    db.prepare(`
+      INSERT INTO audit_log (event, result, user_id, patient_id, finger_index, score, security_level, threshold, device_serial, device_approved)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      event,
+      result,
+      userId,
+      patientId,
+      fingerIndex,
+      score,
+      security ? security.level : null,
+      security ? security.threshold : null,
+      device ? device.serial : null,
+      device && device.approved !== null ? (device.approved ? 1 : 0) : null
+    );
+  } catch (error) {
+    console.error(`[AUDIT] Failed to record ${event}:`, error.message);
+  }
+}
+
+/**
+ * Find a user by patient / employee ID (falls back to the internal user ID)
+ */
+function findUserByPatientId(patientId) {
+  return db.prepare('SELECT * FROM users WHERE employee_id = ? OR id = ?').get(patientId, patientId);
+}
+
+// ========== Device Helpers ==========
+
+/**
+ * Error body for a missing scanner
+ */
+function deviceNotFound(deviceId) {
+  return {
+    success: false,
+    error: deviceId
+      ? `Scanner ${deviceId} is not attached`
+      : 'SecuGen scanner not found. Please connect the device.',
+    code: 'DEVICE_NOT_FOUND'
+  };
+}
+
+/**
+ * Whether a scanner serial is on this site's allowlist
+ */
+function isApprovedScanner(serial) {
+  if (!serial) return false;
+  return !!db.prepare('SELECT 1 FROM approved_scanners WHERE site_id = ? AND serial_number = ?')
+    .get(config.siteId, serial);
+}
+
+/**
+ * Check the scanner behind a capture against the site allowlist.
+ * Returns { serial, approved } (approved is null when the allowlist is off),
+ * or { error, code } when SCANNER_ALLOWLIST=enforce and the scanner is unknown.
+ */
+function checkScanner(serial) {
+  serial = serial || null;
+  if (config.scannerAllowlist === 'off') {
+    return { serial, approved: null };
+  }
+
+  const approved = isApprovedScanner(serial);
+  if (!approved) {
+    console.warn(`[SERVER] Capture from unapproved scanner ${serial || '(no serial)'} at site ${config.siteId}`);
+    if (config.scannerAllowlist === 'enforce') {
+      return {
+        error: serial
+          ? `Scanner ${serial} is not approved for site ${config.siteId}`
+          : 'Scanner serial number is required',
+        code: 'SCANNER_NOT_APPROVED',
+        serial
+      };
+    }
+  }
+
+  return { serial, approved };
+}
+
+/**
+ * Capture source of an image a client uploaded. Whatever the client says
+ * is not proof of hardware, so it is `uploaded`, or `synthetic` when the
+ * client says so itself.
+ */
+function uploadedCaptureSource(body) {
+  return body.captureSource === CAPTURE_SOURCE.SYNTHETIC ? CAPTURE_SOURCE.SYNTHETIC : CAPTURE_SOURCE.UPLOADED;
+}
+
+// Audit log result for each capture source rejection
+const CAPTURE_SOURCE_REJECTIONS = {
+  SYNTHETIC_FINGERPRINT: 'synthetic',
+  UNTRUSTED_FINGERPRINT: 'untrusted'
+};
+
+/**
+ * Refuse fingerprints from synthetic captures (recorded when the template
+ * was extracted here, or declared by the bridge) unless DEMO_MODE is on.
+ * In strict mode, also refuse those not known to come from scanner hardware:
+ * ready-made templates this server did not extract, and uploaded images.
+ * Returns an error body, or null.
+ */
+function captureSourceError(body, captureSource) {
+  if (config.demoMode) return null;
+
+  if (captureSource === CAPTURE_SOURCE.SYNTHETIC || body.captureSource === CAPTURE_SOURCE.SYNTHETIC) {
+    return {
+      success: false,
+      error: 'Synthetic fingerprint rejected: the capture did not come from scanner hardware',
+      code: 'SYNTHETIC_FINGERPRINT'
+    };
+  }
+
+  if (config.strictCapture && !provenance.isHardwareSource(captureSource)) {
+    return {
+      success: false,
+      error: 'Fingerprint rejected: it cannot be traced to a scanner hardware capture',
+      code: 'UNTRUSTED_FINGERPRINT'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Serial of the scanner a fingerprint was captured on. For a template this
+ * server extracted, the serial recorded with it (`origin`, from provenance);
+ * otherwise the bridge client's deviceSerial, or the serial of a locally
+ * attached deviceId.
+ */
+function resolveDeviceSerial(body, origin = null) {
+  if (origin) {
+    return origin.deviceSerial;
+  }
+  if (typeof body.deviceSerial === 'string' && body.deviceSerial.trim()) {
+    return body.deviceSerial.trim();
+  }
+  const target = body.deviceId ? scanners.get(body.deviceId) : null;
+  return target ? target.serialNumber : null;
+}
+
+/**
+ * Capture on a specific scanner, or the default one. Re-scans the bus when
+ * no scanner is registered yet.
+ */
+async function captureOn(deviceId, options) {
+  let target = scanners.get(deviceId);
+  if (!target && !deviceId) {
+    await scanners.discover();
+    target = scanners.get();
+  }
+
+  if (!target) {
+    throw new Error(deviceNotFound(deviceId).error);
+  }
+
+  const device = checkScanner(target.serialNumber);
+  if (device.error) {
+    const error = new Error(device.error);
+    error.code = device.code;
+    throw error;
+  }
+
+  const result = await target.capture(options);
+  return { ...result, deviceId: target.deviceId, deviceSerial: device.serial, deviceApproved: device.approved };
+}
+
+/**
+ * Validate a device settings update ({ brightness, gain, autoExposure }).
+ * Returns { settings } or { error, code }.
+ */
+function parseDeviceSettings(body) {
+  const settings = {};
+
+  for (const key of ['brightness', 'gain']) {
+    if (body[key] === undefined) continue;
+    const value = Number(body[key]);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      return { error: `${key} must be a number between 0 and 100`, code: 'INVALID_SETTING' };
+    }
+    settings[key] = value;
+  }
+
+  if (body.autoExposure !== undefined) {
+    if (typeof body.autoExposure !== 'boolean') {
+      return { error: 'autoExposure must be true or false', code: 'INVALID_SETTING' };
+    }
+    settings.autoExposure = body.autoExposure;
+  }
+
+  if (Object.keys(settings).length === 0) {
+    return { error: 'Provide at least one of brightness, gain, autoExposure', code: 'INVALID_SETTING' };
+  }
+
+  return { settings };
+}
+
+/**
+ * Apply settings to a scanner and persist them under its serial number
+ */
+async function updateDeviceSettings(target, settings) {
+  const applied = await target.applySettings(settings);
+
+  db.prepare(`
+    INSERT INTO device_settings (device_id, brightness, gain, auto_exposure)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (device_id) DO UPDATE SET
+      brightness = excluded.brightness,
+      gain = excluded.gain,
+      auto_exposure = excluded.auto_exposure,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(target.deviceId, applied.brightness, applied.gain, applied.autoExposure ? 1 : 0);
+
+  return applied;
+}
+
+/**
+ * Restore persisted settings when a scanner (re)connects
+ */
+async function applyStoredSettings(deviceId) {
+  const target = scanners.get(deviceId);
+  const stored = deviceId && db.prepare('SELECT * FROM device_settings WHERE device_id = ?').get(deviceId);
+  if (!target || !stored) return;
+
+  await target.applySettings({
+    brightness: stored.brightness,
+    gain: stored.gain,
+    autoExposure: stored.auto_exposure === 1
+  });
+  console.log(`[SERVER] Restored settings for scanner ${deviceId}`);
+}
+
+// ========== API Routes ==========
+
+// Health check
+app.get('/api/health', (req, res) => {
+  console.log('[API] GET /api/health - Request received');
+  const scannerStatus = scanners.getStatus();
+  console.log('[API] Health check - scanner status:', JSON.stringify(scannerStatus, null, 2));
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    scanner: scannerStatus,
+    // Inventory of attached scanners for IT (firmware, serial, resolution)
+    scanners: scannerStatus.devices.map(device => ({
+      deviceId: device.deviceId,
+      connected: device.connected,
+      productName: device.deviceInfo?.productName || null,
+      serialNumber: device.deviceInfo?.serialNumber || null,
+      firmwareVersion: device.deviceInfo?.firmwareVersion || null,
+      resolution: device.deviceInfo?.resolution || null,
+      communicationMode: device.deviceInfo?.communicationMode || null,
+      approved: isApprovedScanner(device.deviceInfo?.serialNumber)
+    }))
+  });
+});
+
+// Get scanner status
+app.get('/api/scanner/status', async (req, res) => {
+  console.log('='.repeat(60));
+  console.log('[API] GET /api/scanner/status - Request received');
+  console.log('[API] Timestamp:', new Date().toISOString());
+
+  try {
+    console.log('[API] Calling scanners.getStatus()...');
+    let status = scanners.getStatus();
+    console.log('[API] Initial status:', JSON.stringify(status, null, 2));
+
+    // Try to connect if not connected
+    if (!status.connected) {
+      console.log('[API] Scanner not connected, attempting to connect...');
+      const connectResult = await scanners.connect();
+      console.log('[API] Connect result:', JSON.stringify(connectResult, null, 2));
+
+      const updatedStatus = scanners.getStatus();
+      console.log('[API] Updated status after connect:', JSON.stringify(updatedStatus, null, 2));
+
+      status = {
+        ...updatedStatus,
+        ...connectResult
+      };
+      console.log('[API] Merged status:', JSON.stringify(status, null, 2));
+    } else {
+      console.log('[API] Scanner already connected');
+    }
+
+    console.log('[API] Sending response:', JSON.stringify(status, null, 2));
+    console.log('='.repeat(60));
+    res.json(status);
+  } catch (error) {
+    console.error('[API] ERROR in /api/scanner/status:', error);
+    console.error('[API] Error stack:', error.stack);
+    console.log('='.repeat(60));
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Connect scanner
+app.post('/api/scanner/connect', async (req, res) => {
+  try {
+    const result = await scanners.connect(req.body.deviceId);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Disconnect scanner
+app.post('/api/scanner/disconnect', async (req, res) => {
+  try {
+    const target = scanners.get(req.body.deviceId);
+    if (!target) {
+      return res.status(404).json(deviceNotFound(req.body.deviceId));
+    }
+
+    const result = await target.disconnect();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reconnect scanner (close and re-open)
+app.post('/api/scanner/reconnect', async (req, res) => {
+  try {
+    const target = scanners.get(req.body.deviceId);
+    if (!target) {
+      return res.status(404).json(deviceNotFound(req.body.deviceId));
+    }
+
+    const result = await target.reconnect();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reset a wedged scanner (USB port reset + reconnect)
+app.post('/api/scanner/reset-device', async (req, res) => {
+  try {
+    const target = scanners.get(req.body.deviceId);
+    if (!target) {
+      return res.status(404).json(deviceNotFound(req.body.deviceId));
+    }
+
+    const result = await target.resetDevice();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Device information (firmware, serial, resolution) read from the scanner
+app.get('/api/scanner/info', async (req, res) => {
+  try {
+    const deviceId = req.query.deviceId;
+    const targets = deviceId ? [scanners.get(deviceId)].filter(Boolean) : [...scanners.scanners.values()];
+
+    if (deviceId && targets.length === 0) {
+      return res.status(404).json(deviceNotFound(deviceId));
+    }
+
+    const devices = [];
+    for (const target of targets) {
+      devices.push((await target.getDeviceInfo()) || { deviceId: target.deviceId, connected: false });
+    }
+
+    res.json({ success: true, devices });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// USB session recording status (and replay progress with SCANNER_DRIVER=replay)
+app.get('/api/scanner/recording', (req, res) => {
+  res.json({
+    success: true,
+    ...usbRecorder.status(),
+    replay: config.scannerDriver === 'replay' ? usb.summary() : null
+  });
+});
+
+// Start recording every USB transfer to a file under recordings/.
+// Scanners are reconnected so the recording starts from the handshake.
+app.post('/api/scanner/recording/start', async (req, res) => {
+  try {
+    if (config.scannerDriver === 'replay') {
+      return res.status(400).json({ success: false, error: 'Cannot record while replaying', code: 'RECORDING_UNAVAILABLE' });
+    }
+    if (!config.usbRecordingAllowed) {
+      return res.status(403).json({
+        success: false,
+        error: 'USB recording is disabled in production and with strict capture: recordings contain fingerprint images',
+        code: 'RECORDING_FORBIDDEN'
+      });
+    }
+    if (usbRecorder.status().recording) {
+      return res.status(409).json({ success: false, error: 'A recording is already running', code: 'ALREADY_RECORDING' });
+    }
+
+    const file = path.join(config.recordingsDir, `usb-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+    const status = usbRecorder.start(file, config.scannerDriver);
+
+    if (req.body.reconnect !== false) {
+      for (const target of scanners.scanners.values()) {
+        await target.reconnect();
+      }
+    }
+
+    res.json({ success: true, ...status });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stop the running recording
+app.post('/api/scanner/recording/stop', (req, res) => {
+  const result = usbRecorder.stop();
+  if (!result) {
+    return res.status(400).json({ success: false, error: 'No recording is running', code: 'NOT_RECORDING' });
+  }
+
+  res.json({ success: true, ...result, recording: false });
+});
+
+// Get scanner settings
+app.get('/api/scanner/settings', (req, res) => {
+  const target = scanners.get(req.query.deviceId);
+  if (!target) {
+    return res.status(404).json(deviceNotFound(req.query.deviceId));
+  }
+
+  res.json({ success: true, deviceId: target.deviceId, settings: target.getSettings() });
+});
+
+// Update scanner settings (brightness, gain, auto-exposure), persisted per device
+app.put('/api/scanner/settings', async (req, res) => {
+  try {
+    const target = scanners.get(req.body.deviceId);
+    if (!target) {
+      return res.status(404).json(deviceNotFound(req.body.deviceId));
+    }
+
+    const parsed = parseDeviceSettings(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error, code: parsed.code });
+    }
+
+    const settings = await updateDeviceSettings(target, parsed.settings);
+    res.json({ success: true, deviceId: target.deviceId, settings });
+    broadcast('scannerSettings', { deviceId: target.deviceId, settings });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Capture fingerprint
+app.post('/api/scanner/capture', async (req, res) => {
+  try {
+    const options = {
+      timeout: req.body.timeout || 10000,
+      minQuality: req.body.minQuality || 40
+    };
+
+    const imageFormat = parseImageEncoding(req.body.imageFormat);
+    if (!imageFormat) {
+      return res.status(400).json({ success: false, ...imageEncodingError(req.body.imageFormat) });
+    }
+
+    const result = await captureOn(req.body.deviceId, options);
+
+    let image = result.image;
+    if (imageFormat === IMAGE_ENCODING.WSQ) {
+      const compressed = wsq.encodeWsq(Buffer.from(image, 'base64'), result.width, result.height, {
+        bitrate: config.wsqBitrate,
+        dpi: result.dpi
+      });
+      image = compressed.toString('base64');
+    }
+
+    res.json({
+      success: true,
+      deviceId: result.deviceId,
+      deviceSerial: result.deviceSerial,
+      deviceApproved: result.deviceApproved,
+      template: result.template,
+      image,
+      imageFormat,
+      quality: result.quality,
+      qualityFeatures: result.qualityFeatures,
+      qualityMap: result.qualityMap,
+      width: result.width,
+      height: result.height,
+      dpi: result.dpi,
+      captureSource: result.captureSource,
+      timestamp: result.timestamp
+    });
+  } catch (error) {
+    res.status(error.code === 'SCANNER_NOT_APPROVED' ? 403 : 400)
+      .json({ success: false, error: error.message, code: error.code });
+  }
+});
+
+// Process a raw image captured by a bridge client (Electron / local service)
+app.post('/api/scanner/process', (req, res) => {
+  try {
+    const raw = decodeRawImage(req.body);
+    if (raw.error) {
+      return res.status(400).json({ success: false, error: raw.error, code: raw.code });
+    }
+
+    const device = checkScanner(resolveDeviceSerial(req.body));
+    if (device.error) {
+      return res.status(403).json({ success: false, error: device.error, code: device.code });
+    }
+
+    const { imageData, width, height, dpi } = raw;
+    const assessment = biometrics.assessQuality(imageData, width, height);
+    const quality = assessment.score;
+    const template = engine.extract(imageData, width, height, dpi || undefined);
+    const minQuality = parseInt(req.body.minQuality) || 40;
+
+    // Remember the template as uploaded, with the quality measured here, for
+    // when it is presented back
+    const captureSource = uploadedCaptureSource(req.body);
+    provenance.record(template, { captureSource, quality, deviceSerial: device.serial });
+
+    res.json({
+      success: true,
+      template: template.toString('base64'),
+      quality: quality,
+      qualityFeatures: assessment.features,
+      qualityMap: assessment.map,
+      clientQuality: req.body.quality !== undefined ? parseInt(req.body.quality) : null,
+      acceptable: quality >= minQuality,
+      minutiaeCount: engine.validate(template).count,
+      width,
+      height,
+      deviceSerial: device.serial,
+      deviceApproved: device.approved,
+      captureSource,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    console.error('Image processing error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Compare two stored templates (1:1, no scanner involved)
+app.post('/api/scanner/match', (req, res) => {
+  try {
+    const { template1, template2 } = req.body;
+
+    if (!template1 || !template2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Both template1 and template2 are required',
+        code: 'TEMPLATE_REQUIRED'
+      });
+    }
+
+    const decoded1 = decodeTemplate(template1);
+    const decoded2 = decodeTemplate(template2);
+
+    const invalid = decoded1.error ? ['template1', decoded1] : decoded2.error ? ['template2', decoded2] : null;
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalid[0]}: ${invalid[1].error}`,
+        code: invalid[1].code
+      });
+    }
+    const t1 = decoded1.template;
+    const t2 = decoded2.template;
+
+    let security = config.resolveSecurityLevel(req.body.securityLevel);
+    if (!security) {
+      return res.status(400).json(securityLevelError(req.body.securityLevel));
+    }
+
+    // An explicit threshold overrides the named level
+    if (req.body.threshold !== undefined) {
+      const threshold = Number(req.body.threshold);
+      if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+        return res.status(400).json({
+          success: false,
+          error: 'Threshold must be a number between 0 and 100',
+          code: 'INVALID_THRESHOLD'
+        });
+      }
+      security = { level: 'CUSTOM', threshold };
+    }
+
+    const result = engine.match(t1, t2, security.threshold);
+
+    res.json({
+      success: true,
+      match: result.match,
+      score: result.score,
+      matchedMinutiae: result.matchedMinutiae,
+      totalMinutiae: result.totalMinutiae,
+      alignment: result.alignment,
+      securityLevel: security.level,
+      threshold: security.threshold
+    });
+
+    recordAudit('match', result.match ? 'match' : 'no_match', { score: result.score, security });
+  } catch (error) {
+    console.error('Match error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Convert a template between native, ISO 19794-2 and ANSI 378
+app.post('/api/templates/convert', (req, res) => {
+  try {
+    if (!req.body.template) {
+      return res.status(400).json({ success: false, error: 'Template is required', code: 'TEMPLATE_REQUIRED' });
+    }
+
+    const format = parseTemplateFormat(req.body.format);
+    if (!format) {
+      return res.status(400).json(templateFormatError(req.body.format));
+    }
+
+    if (!engine.exportTemplate) {
+      return res.status(400).json(templateExchangeError());
+    }
+
+    const decoded = decodeTemplate(req.body.template);
+    if (decoded.error) {
+      return res.status(400).json({ success: false, error: decoded.error, code: decoded.code });
+    }
+
+    const fingerIndex = req.body.fingerIndex === undefined ? null : parseFingerIndex(req.body.fingerIndex);
+    const template = engine.exportTemplate(decoded.template, format, {
+      fingerIndex,
+      quality: parseInt(req.body.quality) || 0
+    });
+
+    res.json({
+      success: true,
+      sourceFormat: decoded.format,
+      format,
+      template: template.toString('base64'),
+      minutiaeCount: engine.validate(decoded.template).count
+    });
+  } catch (error) {
+    console.error('Template conversion error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Matcher engines, and how the comparison engine has scored against the active one
+app.get('/api/engines', (req, res) => {
+  try {
+    const comparisons = db.prepare(`
+      SELECT engine, compare_engine, COUNT(*) AS count, SUM(match = compare_match) AS agreements,
+        SUM(match) AS matches, SUM(compare_match) AS compare_matches,
+        ROUND(AVG(score), 1) AS average_score, ROUND(AVG(compare_score), 1) AS average_compare_score
+      FROM engine_comparisons
+      GROUP BY engine, compare_engine
+      ORDER BY MAX(id) DESC
+    `).all();
+
+    res.json({
+      success: true,
+      engine: { name: engine.name, version: engine.version },
+      compareEngine: compareEngine ? { name: compareEngine.name, version: compareEngine.version } : null,
+      available: ENGINE_NAMES,
+      comparisons: comparisons.map(row => ({
+        engine: row.engine,
+        compareEngine: row.compare_engine,
+        verifications: row.count,
+        agreement: Math.round((row.agreements / row.count) * 1000) / 10,
+        matches: row.matches,
+        compareMatches: row.compare_matches,
+        averageScore: row.average_score,
+        averageCompareScore: row.average_compare_score
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-extract archived fingerprints whose template is from an older algorithm or another engine
+app.post('/api/templates/retemplate', (req, res) => {
+  try {
+    const job = startRetemplate();
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    if (error.code === 'RETEMPLATE_RUNNING') {
+      return res.status(409).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Re-template error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Current or most recent re-template job
+app.get('/api/templates/retemplate', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      engine: engine.name,
+      templateVersion: engine.version,
+      pending: retemplate.countPending(engine.version),
+      ...retemplate.countUnarchived(engine),
+      running: retemplate.isRunning(),
+      job: retemplate.latestJob()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/templates/retemplate/:jobId', (req, res) => {
+  try {
+    const job = retemplate.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Re-template job not found', code: 'JOB_NOT_FOUND' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Render a raw or WSQ capture as PNG, JPEG or BMP with its DPI
+app.post('/api/images/render', async (req, res) => {
+  try {
+    const raw = decodeRawImage(req.body);
+    if (raw.error) {
+      return res.status(400).json({ success: false, error: raw.error, code: raw.code });
+    }
+
+    const options = parseRenderOptions(req.body, raw.dpi);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error, code: options.code });
+    }
+
+    const { format, dpi, ...size } = options;
+    const rendered = await renderImage({ ...raw, dpi }, { format, ...size });
+    sendRenderedImage(res, rendered, 'fingerprint');
+  } catch (error) {
+    console.error('Image render error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Enroll a specific finger for an existing patient / employee
+app.post('/api/scanner/enroll', (req, res) => {
+  try {
+    const patientId = typeof req.body.patientId === 'string' ? req.body.patientId.trim() : '';
+    if (!patientId) {
+      return res.status(400).json({ success: false, error: 'Patient ID is required', code: 'PATIENT_ID_REQUIRED' });
+    }
+
+    const fingerIndex = parseFingerIndex(req.body.fingerIndex);
+    if (fingerIndex === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Finger index must be an integer from 0 (left thumb) to 9 (right little)',
+        code: 'INVALID_FINGER_INDEX'
+      });
+    }
+
+    const user = findUserByPatientId(patientId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: `No user found for ID ${patientId}`, code: 'USER_NOT_FOUND' });
+    }
+
+    const probe = resolveTemplate(req.body);
+    if (probe.error) {
+      return res.status(400).json({ success: false, error: probe.error, code: probe.code });
+    }
+
+    // Duplicate detection always runs at the configured level, not the caller's
+    const security = config.resolveSecurityLevel(config.duplicateSecurityLevel);
+
+    const device = checkScanner(resolveDeviceSerial(req.body, probe.origin));
+    if (device.error) {
+      return res.status(403).json({ success: false, error: device.error, code: device.code });
+    }
+
+    const rejected = captureSourceError(req.body, probe.captureSource);
+    if (rejected) {
+      recordAudit('enroll', CAPTURE_SOURCE_REJECTIONS[rejected.code], { userId: user.id, patientId, fingerIndex, device });
+      return res.status(400).json(rejected);
+    }
+
+    // The configured floor applies to every enrollment; callers may only raise it
+    const minQuality = Math.max(config.enrollMinQuality, parseInt(req.body.minQuality) || 0);
+    if (probe.quality !== null && probe.quality < minQuality) {
+      return res.status(400).json({
+        success: false,
+        error: `Image quality too low for enrollment (${probe.quality}%, minimum ${minQuality}%)`,
+        code: 'QUALITY_TOO_LOW',
+        quality: probe.quality,
+        qualityFeatures: probe.qualityFeatures || null
+      });
+    }
 
-  ws.on('close', () => {
-    console.log('WebSocket client disconnected');
-    wsClients.delete(ws);
-  });
+    // Reject a print that is already enrolled as any other finger, for anyone.
+    // The patient's own unknown-finger (legacy) templates may be this same finger.
+    const candidates = loadEnrolledFingerprints().filter(f =>
+      f.user_id !== user.id || (f.finger_index !== null && f.finger_index !== fingerIndex)
+    );
 
-  ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
-    wsClients.delete(ws);
-  });
-});
+    const duplicate = engine.identify(probe.template, candidates, security.threshold).find(result => result.match);
+    if (duplicate) {
+      const { candidate, score } = duplicate;
+      const sameUser = candidate.user_id === user.id;
+      recordAudit('enroll', 'duplicate', { userId: user.id, patientId, fingerIndex, score, security, device });
+      return res.status(409).json({
+        success: false,
+        error: sameUser
+          ? `This fingerprint is already enrolled as ${FINGER_NAMES[candidate.finger_index]} for this patient`
+          : `This fingerprint is already enrolled to ${candidate.name}`,
+        code: 'DUPLICATE_FINGERPRINT',
+        existingUser: candidate.name,
+        existingPatientId: candidate.employee_id || candidate.user_id,
+        existingFingerIndex: candidate.finger_index,
+        score
+      });
+    }
 
-// Broadcast to all WebSocket clients
-function broadcast(type, data) {
-  const message = JSON.stringify({ type, data });
-  wsClients.forEach(client => {
-    if (client.readyState === 1) { // OPEN
-      client.send(message);
+    // Re-enrolling a finger counts another impression and keeps the better
+    // template. A template of unknown quality never replaces a stored one.
+    const existing = db.prepare('SELECT id, quality, impression_count FROM fingerprints WHERE user_id = ? AND finger_index = ?')
+      .get(user.id, fingerIndex);
+    const enrollmentId = existing ? existing.id : uuidv4();
+    const templateUpdated = !existing || (probe.quality !== null && probe.quality >= (existing.quality || 0));
+
+    // device_serial, template_version and the archived image follow the
+    // stored template: the scanner and image it came from
+    if (!existing) {
+      db.prepare(`
+        INSERT INTO fingerprints (id, user_id, finger_index, template, quality, device_serial, template_version, image)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        enrollmentId, user.id, fingerIndex, probe.template, probe.quality, device.serial,
+        probe.templateVersion, archiveImage(probe.image)
+      );
+    } else if (templateUpdated) {
+      db.prepare(`
+        UPDATE fingerprints
+        SET template = ?, quality = ?, device_serial = ?, template_version = ?, image = ?,
+            impression_count = impression_count + 1
+        WHERE id = ?
+      `).run(
+        probe.template, probe.quality, device.serial, probe.templateVersion,
+        archiveImage(probe.image), existing.id
+      );
+    } else {
+      db.prepare('UPDATE fingerprints SET impression_count = impression_count + 1 WHERE id = ?').run(existing.id);
     }
-  });
-}
 
-// ========== Scanner Event Handlers ==========
+    db.prepare('UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
 
-scanner.on('connected', (data) => {
-  console.log('Scanner connected:', data);
-  broadcast('scannerConnected', data);
-});
+    res.json({
+      success: true,
+      enrollmentId,
+      userId: user.id,
+      patientId,
+      patientName: user.name,
+      fingerIndex,
+      fingerName: FINGER_NAMES[fingerIndex],
+      quality: probe.quality,
+      impressionCount: existing ? existing.impression_count + 1 : 1,
+      templateUpdated,
+      deviceSerial: device.serial,
+      deviceApproved: device.approved
+    });
 
-scanner.on('disconnected', () => {
-  console.log('Scanner disconnected');
-  broadcast('scannerDisconnected', {});
-});
+    recordAudit('enroll', 'enrolled', { userId: user.id, patientId, fingerIndex, device });
 
-scanner.on('captureStart', () => {
-  broadcast('captureStart', {});
-});
+    broadcast('fingerEnrolled', { userId: user.id, name: user.name, fingerIndex });
 
-scanner.on('fingerDetected', () => {
-  broadcast('fingerDetected', {});
+  } catch (error) {
+    console.error('Enrollment error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-scanner.on('captureComplete', (data) => {
-  broadcast('captureComplete', { quality: data.quality });
-});
+// 1:1 verification against a claimed patient / employee ID
+app.post('/api/scanner/verify', (req, res) => {
+  try {
+    const patientId = typeof req.body.patientId === 'string' ? req.body.patientId.trim() : '';
+    if (!patientId) {
+      return res.status(400).json({ success: false, error: 'Patient ID is required', code: 'PATIENT_ID_REQUIRED' });
+    }
 
-scanner.on('captureError', (data) => {
-  broadcast('captureError', data);
-});
+    const user = findUserByPatientId(patientId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: `No user found for ID ${patientId}`, code: 'USER_NOT_FOUND' });
+    }
 
-// ========== API Routes ==========
+    const security = config.resolveSecurityLevel(req.body.securityLevel);
+    if (!security) {
+      return res.status(400).json(securityLevelError(req.body.securityLevel));
+    }
 
-// Health check
-app.get('/api/health', (req, res) => {
-  console.log('[API] GET /api/health - Request received');
-  const scannerStatus = scanner.getStatus();
-  console.log('[API] Health check - scanner status:', JSON.stringify(scannerStatus, null, 2));
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    scanner: scannerStatus
-  });
-});
+    const fingers = loadEnrolledFingerprints(user.id);
+    if (fingers.length === 0) {
+      const stored = db.prepare('SELECT COUNT(*) as count FROM fingerprints WHERE user_id = ?').get(user.id).count;
+      if (stored > 0) {
+        return res.status(500).json({
+          success: false,
+          error: `Enrolled templates for ID ${patientId} failed the integrity check. Please re-enroll.`,
+          code: 'TEMPLATE_CORRUPT'
+        });
+      }
+      return res.status(404).json({ success: false, error: `No fingerprints enrolled for ID ${patientId}`, code: 'NOT_ENROLLED' });
+    }
 
-// Get scanner status
-app.get('/api/scanner/status', async (req, res) => {
-  console.log('='.repeat(60));
-  console.log('[API] GET /api/scanner/status - Request received');
-  console.log('[API] Timestamp:', new Date().toISOString());
+    const probe = resolveTemplate(req.body);
+    if (probe.error) {
+      return res.status(400).json({ success: false, error: probe.error, code: probe.code });
+    }
 
-  try {
-    console.log('[API] Calling scanner.getStatus()...');
-    let status = scanner.getStatus();
-    console.log('[API] Initial status:', JSON.stringify(status, null, 2));
+    const device = checkScanner(resolveDeviceSerial(req.body, probe.origin));
+    if (device.error) {
+      return res.status(403).json({ success: false, error: device.error, code: device.code });
+    }
 
-    // Try to connect if not connected
-    if (!status.connected) {
-      console.log('[API] Scanner not connected, attempting to connect...');
-      const connectResult = await scanner.connect();
-      console.log('[API] Connect result:', JSON.stringify(connectResult, null, 2));
+    const rejected = captureSourceError(req.body, probe.captureSource);
+    if (rejected) {
+      recordAudit('verify', CAPTURE_SOURCE_REJECTIONS[rejected.code], { userId: user.id, patientId, device });
+      return res.status(400).json(rejected);
+    }
 
-      const updatedStatus = scanner.getStatus();
-      console.log('[API] Updated status after connect:', JSON.stringify(updatedStatus, null, 2));
+    const [result] = engine.identify(probe.template, fingers, security.threshold);
+    const best = { score: result.score, finger: result.candidate, alignment: result.alignment };
+    const match = result.match;
 
-      status = {
-        ...updatedStatus,
-        ...connectResult
-      };
-      console.log('[API] Merged status:', JSON.stringify(status, null, 2));
+    if (match) {
+      db.prepare('UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+    }
+
+    res.json({
+      success: true,
+      match,
+      score: best.score,
+      securityLevel: security.level,
+      threshold: security.threshold,
+      patientId,
+      patientName: user.name,
+      userId: user.id,
+      fingerIndex: match ? best.finger.finger_index : null,
+      fingerName: match && best.finger.finger_index !== null ? FINGER_NAMES[best.finger.finger_index] : null,
+      fingersCompared: fingers.length,
+      alignment: match ? best.alignment : null,
+      deviceSerial: device.serial,
+      deviceApproved: device.approved
+    });
+
+    recordAudit('verify', match ? 'match' : 'no_match', {
+      userId: user.id,
+      patientId,
+      fingerIndex: match ? best.finger.finger_index : null,
+      score: best.score,
+      security,
+      device
+    });
+
+    if (match) {
+      broadcast('userVerified', { userId: user.id, name: user.name, score: best.score });
     } else {
-      console.log('[API] Scanner already connected');
+      broadcast('verificationFailed', { userId: user.id, score: best.score });
     }
 
-    console.log('[API] Sending response:', JSON.stringify(status, null, 2));
-    console.log('='.repeat(60));
-    res.json(status);
-  } catch (error) {
-    console.error('[API] ERROR in /api/scanner/status:', error);
-    console.error('[API] Error stack:', error.stack);
-    console.log('='.repeat(60));
-    res.status(500).json({ error: error.message });
-  }
-});
+    if (shouldCompare(probe)) {
+      compareVerification(probe, user, fingers, security);
+    }
 
-// Connect scanner
-app.post('/api/scanner/connect', async (req, res) => {
-  try {
-    const result = await scanner.connect();
-    res.json(result);
   } catch (error) {
+    console.error('Verification error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Capture fingerprint
-app.post('/api/scanner/capture', async (req, res) => {
+// 1:N identification - ranked candidates instead of a single silent pick
+app.post('/api/scanner/identify', (req, res) => {
   try {
-    const options = {
-      timeout: req.body.timeout || 10000,
-      minQuality: req.body.minQuality || 40
-    };
+    const probe = resolveTemplate(req.body);
+    if (probe.error) {
+      return res.status(400).json({ success: false, error: probe.error, code: probe.code });
+    }
+
+    const security = config.resolveSecurityLevel(req.body.securityLevel);
+    if (!security) {
+      return res.status(400).json(securityLevelError(req.body.securityLevel));
+    }
+
+    const device = checkScanner(resolveDeviceSerial(req.body, probe.origin));
+    if (device.error) {
+      return res.status(403).json({ success: false, error: device.error, code: device.code });
+    }
+
+    const rejected = captureSourceError(req.body, probe.captureSource);
+    if (rejected) {
+      recordAudit('identify', CAPTURE_SOURCE_REJECTIONS[rejected.code], { device });
+      return res.status(400).json(rejected);
+    }
 
-    const result = await scanner.capture(options);
+    const limit = Math.min(parseInt(req.body.limit) || IDENTIFY_DEFAULT_CANDIDATES, IDENTIFY_MAX_CANDIDATES);
+    const candidates = rankCandidates(probe.template, Math.max(limit, 2));
+    const top = candidates[0];
+    const found = !!top && top.score >= security.threshold;
 
     res.json({
       success: true,
-      template: result.template,
-      image: result.image,
-      quality: result.quality,
-      width: result.width,
-      height: result.height,
-      timestamp: result.timestamp
+      found,
+      patientId: found ? top.patientId : null,
+      patientName: found ? top.name : null,
+      score: top ? top.score : 0,
+      fingerIndex: found ? top.fingerIndex : null,
+      securityLevel: security.level,
+      threshold: security.threshold,
+      confidenceGap: confidenceGap(candidates),
+      candidates: candidates.slice(0, limit),
+      deviceSerial: device.serial,
+      deviceApproved: device.approved
     });
+
+    recordAudit('identify', found ? 'match' : 'no_match', {
+      userId: found ? top.userId : null,
+      patientId: found ? top.patientId : null,
+      fingerIndex: found ? top.fingerIndex : null,
+      score: top ? top.score : 0,
+      security,
+      device
+    });
+
+    if (found) {
+      broadcast('userIdentified', { userId: top.userId, name: top.name, score: top.score });
+    } else {
+      broadcast('verificationFailed', { score: top ? top.score : 0 });
+    }
+
   } catch (error) {
-    res.status(400).json({ success: false, error: error.message });
+    console.error('Identification error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Register new user
 app.post('/api/users/register', upload.single('photo'), async (req, res) => {
   try {
-    const { name, email, phone, department, employeeId, fingerprintTemplate, fingerprintQuality } = req.body;
+    const { name, email, phone, department, employeeId, fingerprintTemplate, fingerIndex } = req.body;
 
     // Validation
     if (!name || !name.trim()) {
@@ -270,42 +1761,71 @@ app.post('/api/users/register', upload.single('photo'), async (req, res) => {
       return res.status(400).json({ success: false, error: 'Fingerprint template is required' });
     }
 
-    // Check for duplicate fingerprint
-    const existingUsers = db.prepare('SELECT * FROM users WHERE fingerprint_template IS NOT NULL').all();
-    const inputTemplate = Buffer.from(fingerprintTemplate, 'base64');
+    // Finger position is optional here; unknown fingers are stored with a NULL index
+    const finger = fingerIndex === undefined || fingerIndex === '' ? null : parseFingerIndex(fingerIndex);
+    if (fingerIndex !== undefined && fingerIndex !== '' && finger === null) {
+      return res.status(400).json({ success: false, error: 'Finger index must be an integer from 0 to 9' });
+    }
+
+    const decoded = decodeTemplate(fingerprintTemplate);
+    if (decoded.error) {
+      return res.status(400).json({ success: false, error: decoded.error, code: decoded.code });
+    }
+    const inputTemplate = decoded.template;
 
-    for (const user of existingUsers) {
-      const matchResult = scanner.match(inputTemplate, user.fingerprint_template);
-      if (matchResult.match && matchResult.score >= 70) {
-        return res.status(400).json({
-          success: false,
-          error: `This fingerprint is already registered to ${user.name}`,
-          existingUser: user.name
-        });
-      }
+    const origin = provenance.lookup(inputTemplate);
+    const device = checkScanner(resolveDeviceSerial(req.body, origin));
+    if (device.error) {
+      return res.status(403).json({ success: false, error: device.error, code: device.code });
+    }
+
+    const rejected = captureSourceError(req.body, origin ? origin.captureSource : null);
+    if (rejected) {
+      recordAudit('register', CAPTURE_SOURCE_REJECTIONS[rejected.code], { device });
+      return res.status(400).json(rejected);
+    }
+
+    // Check for duplicate fingerprint across every enrolled finger
+    const security = config.resolveSecurityLevel(config.duplicateSecurityLevel);
+
+    const duplicate = engine.identify(inputTemplate, loadEnrolledFingerprints(), security.threshold).find(result => result.match);
+    if (duplicate) {
+      const enrolled = duplicate.candidate;
+      recordAudit('register', 'duplicate', { userId: enrolled.user_id, score: duplicate.score, security, device });
+      return res.status(400).json({
+        success: false,
+        error: `This fingerprint is already registered to ${enrolled.name}`,
+        existingUser: enrolled.name
+      });
     }
 
     // Create user
     const userId = uuidv4();
     const photoPath = req.file ? `/uploads/${req.file.filename}` : null;
-    const templateBuffer = Buffer.from(fingerprintTemplate, 'base64');
-
-    const stmt = db.prepare(`
-      INSERT INTO users (id, name, email, phone, department, employee_id, photo_path, fingerprint_template, fingerprint_quality)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    stmt.run(
-      userId,
-      name.trim(),
-      email?.trim() || null,
-      phone?.trim() || null,
-      department?.trim() || null,
-      employeeId?.trim() || null,
-      photoPath,
-      templateBuffer,
-      parseInt(fingerprintQuality) || 0
-    );
+    // The template arrived ready-made: its quality is the one measured when
+    // this server extracted it, if it did
+    const quality = origin ? origin.quality : null;
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO users (id, name, email, phone, department, employee_id, photo_path, fingerprint_quality)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        userId,
+        name.trim(),
+        email?.trim() || null,
+        phone?.trim() || null,
+        department?.trim() || null,
+        employeeId?.trim() || null,
+        photoPath,
+        quality
+      );
+
+      db.prepare(`
+        INSERT INTO fingerprints (id, user_id, finger_index, template, quality, device_serial, template_version)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(uuidv4(), userId, finger, inputTemplate, quality, device.serial, engine.name);
+    })();
 
     res.json({
       success: true,
@@ -320,6 +1840,7 @@ app.post('/api/users/register', upload.single('photo'), async (req, res) => {
       }
     });
 
+    recordAudit('register', 'enrolled', { userId, patientId: employeeId?.trim() || null, fingerIndex: finger, device });
     broadcast('userRegistered', { userId, name: name.trim() });
 
   } catch (error) {
@@ -331,27 +1852,41 @@ app.post('/api/users/register', upload.single('photo'), async (req, res) => {
 // Verify fingerprint and get user
 app.post('/api/users/verify', async (req, res) => {
   try {
-    const { fingerprintTemplate } = req.body;
+    const { fingerprintTemplate, securityLevel } = req.body;
 
     if (!fingerprintTemplate) {
       return res.status(400).json({ success: false, error: 'Fingerprint template is required' });
     }
 
-    const inputTemplate = Buffer.from(fingerprintTemplate, 'base64');
-    const users = db.prepare('SELECT * FROM users WHERE fingerprint_template IS NOT NULL').all();
+    const security = config.resolveSecurityLevel(securityLevel);
+    if (!security) {
+      return res.status(400).json(securityLevelError(securityLevel));
+    }
+
+    const decoded = decodeTemplate(fingerprintTemplate);
+    if (decoded.error) {
+      return res.status(400).json({ success: false, error: decoded.error, code: decoded.code });
+    }
+    const inputTemplate = decoded.template;
 
-    let bestMatch = null;
-    let bestScore = 0;
+    const origin = provenance.lookup(inputTemplate);
+    const device = checkScanner(resolveDeviceSerial(req.body, origin));
+    if (device.error) {
+      return res.status(403).json({ success: false, error: device.error, code: device.code });
+    }
 
-    for (const user of users) {
-      const result = scanner.match(inputTemplate, user.fingerprint_template);
-      if (result.score > bestScore) {
-        bestScore = result.score;
-        bestMatch = user;
-      }
+    const rejected = captureSourceError(req.body, origin ? origin.captureSource : null);
+    if (rejected) {
+      recordAudit('verify', CAPTURE_SOURCE_REJECTIONS[rejected.code], { device });
+      return res.status(400).json(rejected);
     }
 
-    if (bestMatch && bestScore >= 60) {
+    const candidates = rankCandidates(inputTemplate);
+    const bestScore = candidates.length > 0 ? candidates[0].score : 0;
+    const bestMatch = candidates.length > 0 && db.prepare('SELECT * FROM users WHERE id = ?').get(candidates[0].userId);
+    const gap = confidenceGap(candidates);
+
+    if (bestMatch && bestScore >= security.threshold) {
       // Update last access time
       db.prepare('UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(bestMatch.id);
 
@@ -359,6 +1894,13 @@ app.post('/api/users/verify', async (req, res) => {
         success: true,
         verified: true,
         matchScore: bestScore,
+        securityLevel: security.level,
+        threshold: security.threshold,
+        fingerIndex: candidates[0].fingerIndex,
+        confidenceGap: gap,
+        candidates,
+        deviceSerial: device.serial,
+        deviceApproved: device.approved,
         user: {
           id: bestMatch.id,
           name: bestMatch.name,
@@ -372,15 +1914,30 @@ app.post('/api/users/verify', async (req, res) => {
         }
       });
 
+      recordAudit('verify', 'match', {
+        userId: bestMatch.id,
+        patientId: bestMatch.employee_id,
+        fingerIndex: candidates[0].fingerIndex,
+        score: bestScore,
+        security,
+        device
+      });
       broadcast('userVerified', { userId: bestMatch.id, name: bestMatch.name, score: bestScore });
     } else {
       res.json({
         success: true,
         verified: false,
         matchScore: bestScore,
+        securityLevel: security.level,
+        threshold: security.threshold,
+        confidenceGap: gap,
+        candidates,
+        deviceSerial: device.serial,
+        deviceApproved: device.approved,
         message: 'No matching fingerprint found'
       });
 
+      recordAudit('verify', 'no_match', { score: bestScore, security, device });
       broadcast('verificationFailed', { score: bestScore });
     }
   } catch (error) {
@@ -441,6 +1998,11 @@ app.get('/api/users/:id', (req, res) => {
     `).get(req.params.id);
 
     if (user) {
+      user.fingers = db.prepare(`
+        SELECT finger_index, quality, impression_count, template_version, image IS NOT NULL AS has_image, created_at
+        FROM fingerprints WHERE user_id = ? ORDER BY finger_index
+      `).all(user.id);
+
       res.json({ success: true, user });
     } else {
       res.status(404).json({ success: false, error: 'User not found' });
@@ -450,6 +2012,82 @@ app.get('/api/users/:id', (req, res) => {
   }
 });
 
+// Export a user's enrolled templates (native, ISO 19794-2 or ANSI 378)
+app.get('/api/users/:id/templates', (req, res) => {
+  try {
+    const format = parseTemplateFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json(templateFormatError(req.query.format));
+    }
+
+    const user = db.prepare('SELECT id, name, employee_id FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (!engine.exportTemplate) {
+      return res.status(400).json(templateExchangeError());
+    }
+
+    const templates = loadEnrolledFingerprints(user.id).map(finger => ({
+      fingerprintId: finger.id,
+      fingerIndex: finger.finger_index,
+      fingerName: finger.finger_index !== null ? FINGER_NAMES[finger.finger_index] : null,
+      quality: finger.quality,
+      template: engine.exportTemplate(finger.template, format, {
+        fingerIndex: finger.finger_index,
+        quality: finger.quality
+      }).toString('base64')
+    }));
+
+    res.json({ success: true, format, userId: user.id, patientId: user.employee_id, templates });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Archived enrollment image of one finger, as WSQ or rendered PNG / JPEG / BMP
+app.get('/api/users/:id/fingerprints/:fingerIndex/image', async (req, res) => {
+  try {
+    const fingerIndex = parseFingerIndex(req.params.fingerIndex);
+    if (fingerIndex === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Finger index must be an integer from 0 (left thumb) to 9 (right little)',
+        code: 'INVALID_FINGER_INDEX'
+      });
+    }
+
+    const finger = db.prepare('SELECT image FROM fingerprints WHERE user_id = ? AND finger_index = ?')
+      .get(req.params.id, fingerIndex);
+    if (!finger || !finger.image) {
+      return res.status(404).json({ success: false, error: 'No archived image for this finger', code: 'IMAGE_NOT_FOUND' });
+    }
+
+    const filename = `fingerprint-${req.params.id}-${fingerIndex}`;
+    if (String(req.query.format).toLowerCase() === IMAGE_ENCODING.WSQ) {
+      res.set({
+        'Content-Type': 'image/x-wsq',
+        'Content-Disposition': `inline; filename="${filename}.wsq"`
+      });
+      return res.send(finger.image);
+    }
+
+    const image = wsq.decodeWsq(finger.image);
+    const options = parseRenderOptions(req.query, image.dpi);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error, code: options.code });
+    }
+
+    const { format, dpi, ...size } = options;
+    const rendered = await renderImage({ ...image, dpi }, { format, ...size });
+    sendRenderedImage(res, rendered, filename);
+  } catch (error) {
+    console.error('Archived image error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Update user
 app.put('/api/users/:id', upload.single('photo'), (req, res) => {
   try {
@@ -499,6 +2137,131 @@ app.delete('/api/users/:id', (req, res) => {
   }
 });
 
+// Approved scanners for this site (device binding)
+app.get('/api/scanners/approved', (req, res) => {
+  try {
+    const scannersList = db.prepare(`
+      SELECT serial_number, label, created_at FROM approved_scanners
+      WHERE site_id = ? ORDER BY created_at
+    `).all(config.siteId);
+
+    res.json({ success: true, siteId: config.siteId, mode: config.scannerAllowlist, scanners: scannersList });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/scanners/approved', (req, res) => {
+  try {
+    const serialNumber = typeof req.body.serialNumber === 'string' ? req.body.serialNumber.trim() : '';
+    if (!serialNumber) {
+      return res.status(400).json({ success: false, error: 'Serial number is required', code: 'SERIAL_REQUIRED' });
+    }
+
+    const label = typeof req.body.label === 'string' ? req.body.label.trim() || null : null;
+
+    db.prepare(`
+      INSERT INTO approved_scanners (site_id, serial_number, label)
+      VALUES (?, ?, ?)
+      ON CONFLICT (site_id, serial_number) DO UPDATE SET label = excluded.label
+    `).run(config.siteId, serialNumber, label);
+
+    console.log(`[SERVER] Approved scanner ${serialNumber} for site ${config.siteId}`);
+    res.json({ success: true, siteId: config.siteId, serialNumber, label });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/scanners/approved/:serialNumber', (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM approved_scanners WHERE site_id = ? AND serial_number = ?')
+      .run(config.siteId, req.params.serialNumber);
+
+    if (result.changes > 0) {
+      console.log(`[SERVER] Revoked scanner ${req.params.serialNumber} for site ${config.siteId}`);
+      res.json({ success: true, message: 'Scanner removed from allowlist' });
+    } else {
+      res.status(404).json({ success: false, error: 'Scanner not in allowlist', code: 'SCANNER_NOT_FOUND' });
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Virtual scanner control, only with SCANNER_DRIVER=simulator
+if (config.scannerDriver === 'simulator') {
+  const simulator = require('./simulator');
+
+  app.get('/api/simulator', (req, res) => {
+    res.json({ success: true, ...simulator.describe() });
+  });
+
+  // Script finger / USB events: { deviceId, events: [{ type, identity, finger, after }] }
+  app.post('/api/simulator/events', (req, res) => {
+    const device = simulator.get(req.body.deviceId);
+    if (!device) {
+      return res.status(404).json(deviceNotFound(req.body.deviceId));
+    }
+
+    const events = Array.isArray(req.body.events) ? req.body.events : [req.body];
+    for (const event of events) {
+      const error = simulator.validateEvent(event);
+      if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_SIMULATOR_EVENT' });
+      }
+    }
+
+    device.run(events);
+    res.json({ success: true, device: device.describe() });
+  });
+}
+
+// Audit trail
+app.get('/api/audit', (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (req.query.userId) {
+      conditions.push('user_id = ?');
+      params.push(req.query.userId);
+    }
+
+    if (req.query.event) {
+      conditions.push('event = ?');
+      params.push(req.query.event);
+    }
+
+    if (req.query.deviceSerial) {
+      conditions.push('device_serial = ?');
+      params.push(req.query.deviceSerial);
+    }
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const entries = db.prepare(`SELECT * FROM audit_log${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM audit_log${where}`).get(...params);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Statistics
 app.get('/api/stats', (req, res) => {
   try {
@@ -518,7 +2281,7 @@ app.get('/api/stats', (req, res) => {
         totalUsers,
         todayRegistrations,
         averageQuality: Math.round(avgQuality),
-        scannerStatus: scanner.getStatus()
+        scannerStatus: scanners.getStatus()
       }
     });
   } catch (error) {
@@ -551,11 +2314,32 @@ async function startServer() {
   console.log('[SERVER] Platform:', process.platform);
   console.log('='.repeat(60));
 
-  // Initialize scanner
-  console.log('[SERVER] Initializing fingerprint scanner...');
-  const scannerResult = await scanner.connect();
-  console.log('[SERVER] Scanner connection result:', JSON.stringify(scannerResult, null, 2));
-  console.log('[SERVER] Scanner status after init:', JSON.stringify(scanner.getStatus(), null, 2));
+  // Initialize scanners
+  console.log('[SERVER] Initializing fingerprint scanners...');
+  const scannerResults = await scanners.start();
+  const scannerResult = scannerResults.find(result => result.success) || scannerResults[0] || { success: false };
+  console.log('[SERVER] Scanner connection results:', JSON.stringify(scannerResults, null, 2));
+  console.log('[SERVER] Scanner status after init:', JSON.stringify(scanners.getStatus(), null, 2));
+
+  // Archived fingerprints left on an older algorithm or another engine are
+  // re-extracted in the background
+  const pending = retemplate.countPending(engine.version);
+  if (pending > 0) {
+    if (config.retemplateOnStartup) {
+      startRetemplate();
+    } else {
+      console.warn(`[SERVER] ${pending} archived fingerprint(s) have templates not extracted by ${engine.version}; POST /api/templates/retemplate to re-extract them`);
+    }
+  }
+
+  // Without an archived image, only re-enrolling replaces these
+  const unarchived = retemplate.countUnarchived(engine);
+  if (unarchived.legacy > 0) {
+    console.warn(`[SERVER] ${unarchived.legacy} legacy fingerprint(s) were stored before template versions were recorded and have no archived image; they are matched while the ${engine.name} engine can read them, otherwise they must be re-enrolled`);
+  }
+  if (unarchived.otherEngine > 0) {
+    console.warn(`[SERVER] ${unarchived.otherEngine} fingerprint(s) from another matcher engine have no archived image; they are skipped by matching until re-enrolled`);
+  }
 
   // Start server
   server.listen(PORT, () => {
@@ -566,6 +2350,7 @@ async function startServer() {
 ║  HTTP Server:    http://localhost:${PORT}                            ║
 ║  WebSocket:      ws://localhost:${PORT}/ws                           ║
 ║  Scanner:        ${scannerResult.success ? 'Connected ✓' : 'Not connected ✗'}                              ║
+║  Devices:        ${scannerResults.filter(result => result.success).length} attached                                      ║
 ║  Mode:           ${scannerResult.success ? scannerResult.deviceInfo?.productName || 'USB Direct' : 'Waiting for device'}                   ║
 ╚══════════════════════════════════════════════════════════════════╝
     `);
@@ -575,14 +2360,16 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\nShutting down...');
-  await scanner.disconnect();
+  await scanners.stop();
+  usbRecorder.stop();
   server.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\nShutting down...');
-  await scanner.disconnect();
+  await scanners.stop();
+  usbRecorder.stop();
   server.close();
   process.exit(0);
 });
@@ -0,0 +1,546 @@
+/**
+ * Scanner Simulator - virtual SecuGen scanners for testing without hardware
+ *
+ * Stands in for the `usb` module when SCANNER_DRIVER=simulator. Each virtual
+ * device answers the same vendor control transfers as a HAMSTER PRO, so the
+ * SecuGenScanner connect / capture path runs unchanged.
+ *
+ * Fingers come from synthetic identities: an identity + finger index always
+ * renders the same ridge pattern and minutiae, and each impression adds
+ * seeded noise (translation, rotation, partial coverage). Runs are
+ * reproducible for a given SIMULATOR_SEED.
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const config = require('./config');
+
+// Identifiers reported by the virtual devices (HAMSTER PRO, control transfers)
+const VENDOR_ID = 0x1162;
+const PRODUCT_ID = 0x2200;
+const FIRMWARE_VERSION = 'SIM-1.0.0';
+const SERIAL_DESCRIPTOR_INDEX = 3;
+
+// Vendor requests understood by the virtual firmware
+const REQUEST = {
+  GET_INFO: 0x01,
+  SET_BRIGHTNESS: 0x02,
+  SET_GAIN: 0x03,
+  CAPTURE_IMAGE: 0x04,
+  GET_IMAGE: 0x05,
+  LED_ON: 0x10,
+  LED_OFF: 0x11,
+  CHECK_FINGER: 0x20,
+  GET_VERSION: 0x30,
+  INIT_DEVICE: 0x40,
+  GET_STATUS: 0x50
+};
+const VENDOR_IN = 0xC0;
+
+// Sensor geometry (matches DEVICE_CONFIG.HAMSTER_PRO)
+const SENSOR = { width: 260, height: 300, dpi: 500 };
+
+// Per-impression noise ranges
+const NOISE_LIMITS = {
+  translation: 12,  // pixels
+  rotation: 10,     // degrees
+  minCoverage: 0.8  // fraction of the fingertip on the glass
+};
+
+const EVENT_TYPES = ['place', 'tap', 'remove', 'timeout', 'unplug', 'plug'];
+
+/**
+ * Seeded PRNG (mulberry32) keyed by any list of values
+ */
+function createRandom(...parts) {
+  let state = crypto.createHash('sha256').update(parts.join(':')).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function between(random, min, max) {
+  return min + random() * (max - min);
+}
+
+/**
+ * Error shaped like the libusb exceptions thrown by the real binding
+ */
+function usbError(name) {
+  const error = new Error(name);
+  error.code = name;
+  return error;
+}
+
+// ========== Synthetic Fingers ==========
+
+const prints = new Map();
+
+/**
+ * The stable ridge pattern of one finger of one identity: pattern class,
+ * ridge frequency and the positions of its minutiae (phase spirals)
+ */
+function getPrint(identity, finger) {
+  const key = `${identity}:${finger}`;
+  if (prints.has(key)) {
+    return prints.get(key);
+  }
+
+  const random = createRandom(config.simulator.seed, 'print', identity, finger);
+  const print = {
+    pattern: ['loop', 'whorl', 'arch'][Math.floor(random() * 3)],
+    frequency: (2 * Math.PI) / between(random, 8, 11),
+    core: { x: between(random, -15, 15), y: between(random, -20, 20) },
+    tilt: between(random, -0.25, 0.25),
+    archHeight: between(random, 20, 35),
+    radius: { x: between(random, 95, 110), y: between(random, 120, 135) },
+    minutiae: []
+  };
+
+  const count = Math.floor(between(random, 25, 40));
+  for (let attempts = 0; print.minutiae.length < count && attempts < 1000; attempts++) {
+    const x = between(random, -0.85, 0.85) * print.radius.x;
+    const y = between(random, -0.85, 0.85) * print.radius.y;
+    const inside = (x * x) / (print.radius.x ** 2) + (y * y) / (print.radius.y ** 2) < 0.75;
+    const clear = print.minutiae.every(m => Math.hypot(m.x - x, m.y - y) > 18);
+    if (inside && clear) {
+      print.minutiae.push({ x, y, polarity: random() < 0.5 ? -1 : 1 });
+    }
+  }
+
+  prints.set(key, print);
+  return print;
+}
+
+/**
+ * Ridge phase at finger coordinates (u, v), relative to the fingertip centre
+ */
+function ridgePhase(print, u, v) {
+  const x = u - print.core.x + print.tilt * (v - print.core.y);
+  const y = v - print.core.y;
+  let phase;
+
+  if (print.pattern === 'whorl') {
+    phase = print.frequency * Math.hypot(x, y * 0.9);
+  } else if (print.pattern === 'loop') {
+    // Hairpin ridges wrapped around a segment running up from the core
+    phase = print.frequency * (y > 0 ? Math.hypot(x, y) : Math.abs(x));
+  } else {
+    phase = print.frequency * (v - print.archHeight * Math.exp(-(u * u) / 5000));
+  }
+
+  // Each spiral term ends or splits a ridge at the minutia position
+  for (const m of print.minutiae) {
+    phase += m.polarity * Math.atan2(v - m.y, u - m.x);
+  }
+  return phase;
+}
+
+/**
+ * Noise for one impression. Overrides ({ dx, dy, rotation, coverage }) pin
+ * individual values for scripted scenarios.
+ */
+function impressionNoise(random, overrides = {}) {
+  const noise = {
+    dx: between(random, -NOISE_LIMITS.translation, NOISE_LIMITS.translation),
+    dy: between(random, -NOISE_LIMITS.translation, NOISE_LIMITS.translation),
+    rotation: between(random, -NOISE_LIMITS.rotation, NOISE_LIMITS.rotation),
+    coverage: between(random, NOISE_LIMITS.minCoverage, 1),
+    clipAngle: random() * 2 * Math.PI
+  };
+
+  for (const key of ['dx', 'dy', 'rotation', 'coverage']) {
+    if (typeof overrides[key] === 'number' && Number.isFinite(overrides[key])) {
+      noise[key] = overrides[key];
+    }
+  }
+  return noise;
+}
+
+/**
+ * Render an 8-bit grayscale frame. Without a finger, renders the empty glass.
+ * Brightness shifts the whole frame and gain scales ridge contrast, so
+ * auto-exposure has something to correct.
+ */
+function renderFrame({ print, noise, brightness, gain, random }) {
+  const { width, height } = SENSOR;
+  const image = Buffer.alloc(width * height);
+  const offset = (brightness - 50) * 1.5;
+  const contrast = 0.5 + gain / 100;
+
+  const cx = width / 2 + (noise ? noise.dx : 0);
+  const cy = height / 2 + (noise ? noise.dy : 0);
+  const theta = noise ? (noise.rotation * Math.PI) / 180 : 0;
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  const clipCos = noise ? Math.cos(noise.clipAngle) : 0;
+  const clipSin = noise ? Math.sin(noise.clipAngle) : 0;
+  const clipAt = print ? (2 * noise.coverage - 1) * Math.max(print.radius.x, print.radius.y) : 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = 240;
+
+      if (print) {
+        // Sensor -> finger coordinates (undo translation and rotation)
+        const px = x - cx;
+        const py = y - cy;
+        const u = cos * px + sin * py;
+        const v = -sin * px + cos * py;
+
+        const onFinger = (u * u) / (print.radius.x ** 2) + (v * v) / (print.radius.y ** 2) <= 1;
+        const onGlass = noise.coverage >= 1 || px * clipCos + py * clipSin <= clipAt;
+
+        if (onFinger && onGlass) {
+          value = 128 - 95 * contrast * Math.tanh(2.5 * Math.cos(ridgePhase(print, u, v)));
+        }
+      }
+
+      value += offset + (random() - 0.5) * 24;
+      image[y * width + x] = Math.max(0, Math.min(255, Math.round(value)));
+    }
+  }
+
+  return image;
+}
+
+// ========== Virtual Devices ==========
+
+/**
+ * Interface 0 of a virtual scanner. No bulk endpoints: everything runs over
+ * control transfers, as on the HAMSTER PRO.
+ */
+class VirtualInterface {
+  constructor() {
+    this.endpoints = [];
+  }
+
+  isKernelDriverActive() {
+    return false;
+  }
+
+  detachKernelDriver() {}
+
+  claim() {}
+
+  release(callback) {
+    if (callback) setImmediate(callback);
+  }
+}
+
+class VirtualScanner {
+  constructor(serialNumber, address) {
+    this.serialNumber = serialNumber;
+    this.busNumber = 1;
+    this.deviceAddress = address;
+    this.deviceDescriptor = {
+      idVendor: VENDOR_ID,
+      idProduct: PRODUCT_ID,
+      bcdDevice: 0x0100,
+      iSerialNumber: SERIAL_DESCRIPTOR_INDEX
+    };
+    this.interfaces = [new VirtualInterface()];
+
+    this.attached = true;
+    this.opened = false;
+    this.led = false;
+    this.brightness = 50;
+    this.gain = 50;
+    this.finger = null;
+    this.frame = null;
+    this.impressions = 0;
+    this.timers = new Set();
+  }
+
+  // ----- usb.Device surface used by SecuGenScanner -----
+
+  open() {
+    if (!this.attached) throw usbError('LIBUSB_ERROR_NO_DEVICE');
+    this.opened = true;
+  }
+
+  close() {
+    this.opened = false;
+  }
+
+  interface(index) {
+    return this.interfaces[index];
+  }
+
+  getStringDescriptor(index, callback) {
+    setImmediate(() => {
+      if (!this.attached) return callback(usbError('LIBUSB_ERROR_NO_DEVICE'));
+      if (index !== SERIAL_DESCRIPTOR_INDEX) return callback(usbError('LIBUSB_ERROR_INVALID_PARAM'));
+      callback(null, this.serialNumber);
+    });
+  }
+
+  reset(callback) {
+    setImmediate(() => {
+      if (!this.attached) return callback(usbError('LIBUSB_ERROR_NO_DEVICE'));
+      this.led = false;
+      this.frame = null;
+      callback(null);
+    });
+  }
+
+  controlTransfer(requestType, request, value, index, dataOrLength, callback) {
+    setImmediate(() => {
+      if (!this.attached) return callback(usbError('LIBUSB_ERROR_NO_DEVICE'));
+      if (!this.opened) return callback(usbError('LIBUSB_ERROR_IO'));
+
+      try {
+        const result = requestType === VENDOR_IN
+          ? this.handleIn(request, value, dataOrLength)
+          : this.handleOut(request, value);
+        callback(null, result);
+      } catch (error) {
+        callback(error);
+      }
+    });
+  }
+
+  // ----- Virtual firmware -----
+
+  handleOut(request, value) {
+    switch (request) {
+      case REQUEST.INIT_DEVICE:
+        return undefined;
+      case REQUEST.LED_ON:
+      case REQUEST.LED_OFF:
+        this.led = request === REQUEST.LED_ON;
+        return undefined;
+      case REQUEST.SET_BRIGHTNESS:
+        this.brightness = value;
+        return undefined;
+      case REQUEST.SET_GAIN:
+        this.gain = value;
+        return undefined;
+      case REQUEST.CAPTURE_IMAGE:
+        this.brightness = value;
+        this.frame = this.captureFrame();
+        return undefined;
+      default:
+        throw usbError('LIBUSB_ERROR_PIPE');
+    }
+  }
+
+  handleIn(request, value, length) {
+    switch (request) {
+      case REQUEST.CHECK_FINGER:
+        // A tapped finger lifts once an image of it has been taken
+        if (this.finger && this.finger.tap && this.finger.captured) {
+          this.finger = null;
+        }
+        return Buffer.from([this.finger ? 0x01 : 0x00]);
+      case REQUEST.GET_IMAGE:
+        if (!this.frame) throw usbError('LIBUSB_ERROR_PIPE');
+        return this.frame.slice(value, value + length);
+      case REQUEST.GET_VERSION:
+        return Buffer.from(FIRMWARE_VERSION, 'latin1');
+      case REQUEST.GET_INFO: {
+        const info = Buffer.alloc(6);
+        info.writeUInt16LE(SENSOR.width, 0);
+        info.writeUInt16LE(SENSOR.height, 2);
+        info.writeUInt16LE(SENSOR.dpi, 4);
+        return info;
+      }
+      case REQUEST.GET_STATUS:
+        return Buffer.from([this.led ? 1 : 0, this.finger ? 1 : 0, this.brightness, this.gain]);
+      default:
+        throw usbError('LIBUSB_ERROR_PIPE');
+    }
+  }
+
+  captureFrame() {
+    const random = createRandom(config.simulator.seed, 'impression', this.serialNumber, this.impressions);
+
+    if (!this.finger) {
+      return renderFrame({ print: null, noise: null, brightness: this.brightness, gain: this.gain, random });
+    }
+
+    this.impressions++;
+    this.finger.captured = true;
+    return renderFrame({
+      print: getPrint(this.finger.identity, this.finger.finger),
+      noise: impressionNoise(random, this.finger.noise),
+      brightness: this.brightness,
+      gain: this.gain,
+      random
+    });
+  }
+
+  // ----- Scripted events -----
+
+  /**
+   * Apply one event now ({ type, identity, finger, noise })
+   */
+  dispatch(event) {
+    const detail = event.identity !== undefined ? ` ${event.identity}/${event.finger === undefined ? 1 : event.finger}` : '';
+    console.log(`[SIMULATOR] ${this.serialNumber}: ${event.type}${detail}`);
+
+    switch (event.type) {
+      case 'place':
+      case 'tap':
+        this.finger = {
+          identity: String(event.identity),
+          finger: event.finger === undefined ? 1 : event.finger,
+          noise: event.noise || {},
+          tap: event.type === 'tap',
+          captured: false
+        };
+        break;
+      case 'remove':
+      case 'timeout':
+        // timeout: no finger arrives, so a capture in progress times out
+        this.finger = null;
+        break;
+      case 'unplug':
+        if (!this.attached) break;
+        this.attached = false;
+        this.opened = false;
+        this.finger = null;
+        simulator.usb.emit('detach', this);
+        break;
+      case 'plug':
+        if (this.attached) break;
+        // Re-enumeration gives the device a new address, like real hardware
+        this.deviceAddress = nextAddress++;
+        this.attached = true;
+        simulator.usb.emit('attach', this);
+        break;
+    }
+  }
+
+  /**
+   * Run a sequence of events. `after` (ms) delays an event relative to the
+   * previous one. Replaces any sequence still pending on this device.
+   */
+  run(events) {
+    this.cancelScript();
+
+    let delay = 0;
+    for (const event of events) {
+      delay += event.after || 0;
+      if (delay === 0) {
+        this.dispatch(event);
+        continue;
+      }
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        this.dispatch(event);
+      }, delay);
+      this.timers.add(timer);
+    }
+  }
+
+  cancelScript() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  describe() {
+    return {
+      serialNumber: this.serialNumber,
+      attached: this.attached,
+      opened: this.opened,
+      finger: this.finger
+        ? { identity: this.finger.identity, finger: this.finger.finger, tap: this.finger.tap }
+        : null,
+      impressions: this.impressions,
+      pendingEvents: this.timers.size,
+      settings: { brightness: this.brightness, gain: this.gain }
+    };
+  }
+}
+
+// ========== Module (usb-compatible) ==========
+
+let nextAddress = 2;
+
+/**
+ * SIMULATOR_DEVICES is a device count ("2") or a list of serials ("SIM-A,SIM-B")
+ */
+function parseDevices(value) {
+  const count = Number(value);
+  const serials = Number.isInteger(count) && count >= 0
+    ? Array.from({ length: count }, (_, i) => `SIM${String(i + 1).padStart(4, '0')}`)
+    : value.split(',').map(serial => serial.trim()).filter(Boolean);
+
+  return serials.map(serial => new VirtualScanner(serial, nextAddress++));
+}
+
+/**
+ * Validate a scripted event. Returns an error message or null.
+ */
+function validateEvent(event) {
+  if (!event || !EVENT_TYPES.includes(event.type)) {
+    return `Event type must be one of: ${EVENT_TYPES.join(', ')}`;
+  }
+  if (event.type === 'place' || event.type === 'tap') {
+    if (event.identity === undefined || event.identity === null || String(event.identity).trim() === '') {
+      return `${event.type} requires an identity`;
+    }
+    if (event.finger !== undefined && !(Number.isInteger(event.finger) && event.finger >= 0 && event.finger <= 9)) {
+      return 'finger must be an integer from 0 to 9';
+    }
+  }
+  if (event.after !== undefined && !(Number.isFinite(event.after) && event.after >= 0)) {
+    return 'after must be a non-negative number of milliseconds';
+  }
+  return null;
+}
+
+const simulator = {
+  usb: new EventEmitter(),
+  identities: Array.from(
+    { length: config.simulator.identities },
+    (_, i) => `sim-${String(i + 1).padStart(2, '0')}`
+  ),
+  devices: [],
+
+  getDeviceList() {
+    return this.devices.filter(device => device.attached);
+  },
+
+  /**
+   * A virtual scanner by serial number, or the first one
+   */
+  get(serialNumber) {
+    return serialNumber
+      ? this.devices.find(device => device.serialNumber === serialNumber) || null
+      : this.devices[0] || null;
+  },
+
+  validateEvent,
+
+  describe() {
+    return {
+      seed: config.simulator.seed,
+      identities: this.identities,
+      sensor: { ...SENSOR },
+      devices: this.devices.map(device => device.describe())
+    };
+  }
+};
+
+simulator.devices = parseDevices(config.simulator.devices);
+
+// SIMULATOR_FINGER="sim-01:1" rests a finger on every scanner from startup
+if (config.simulator.finger) {
+  const [identity, finger] = config.simulator.finger.split(':');
+  const event = { type: 'place', identity, finger: finger === undefined ? 1 : Number(finger) };
+  const error = validateEvent(event);
+  if (error) {
+    console.warn(`[SIMULATOR] Ignoring SIMULATOR_FINGER: ${error}`);
+  } else {
+    simulator.devices.forEach(device => device.dispatch(event));
+  }
+}
+
+console.log(`[SIMULATOR] ${simulator.devices.length} virtual scanner(s): ${simulator.devices.map(d => d.serialNumber).join(', ')}`);
+
+module.exports = simulator;
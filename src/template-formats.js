@@ -0,0 +1,260 @@
+/**
+ * Standard Template Formats - ISO/IEC 19794-2:2005 and ANSI INCITS 378-2004
+ *
+ * Converts minutiae to and from the standard finger minutiae records, so
+ * templates can be exchanged with other matchers and ID systems. Both
+ * records have one finger view:
+ *
+ *   ISO 19794-2   24-byte header (4-byte record length), angles in 360/256°
+ *   ANSI 378      26-byte header (2-byte record length, or 0 + 4 bytes for
+ *                 large records; CBEFF product ID), angles in 2° steps
+ *
+ * followed by a 4-byte finger view header, 6 bytes per minutia (type + x,
+ * y, angle, quality) and an empty extended data block.
+ *
+ * Standard angles run counter-clockwise from the x axis; template angles
+ * run the other way because image y grows downwards, so they are mirrored.
+ * Positions and types round-trip exactly, ISO angles exactly, and ANSI
+ * angles to the nearest 2° step of that format.
+ */
+
+const { encodeAngle, MINUTIA_TYPE } = require('./minutiae');
+const { decodeAngle } = require('./matcher');
+
+const TEMPLATE_FORMAT = {
+  NATIVE: 'native',
+  ISO: 'iso-19794-2',
+  ANSI: 'ansi-378'
+};
+
+const RECORD_MAGIC = Buffer.from([0x46, 0x4D, 0x52, 0x00]);       // "FMR\0"
+const RECORD_VERSION = Buffer.from([0x20, 0x32, 0x30, 0x00]);     // " 20\0"
+
+const ISO_HEADER_SIZE = 24;
+const ANSI_HEADER_SIZE = 26;
+const VIEW_HEADER_SIZE = 4;
+const MINUTIA_SIZE = 6;
+const EXTENDED_DATA_SIZE = 2;
+
+// Minutia type in the top two bits of the x coordinate
+const RECORD_TYPE = { OTHER: 0, ENDING: 1, BIFURCATION: 2 };
+
+// Impression type: live-scan plain
+const LIVE_SCAN_PLAIN = 0;
+
+function formatError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TEMPLATE';
+  return error;
+}
+
+// ========== Angles and Units ==========
+
+/**
+ * Template angle byte to degrees counter-clockwise (0..360)
+ */
+function toStandardDegrees(angle) {
+  const degrees = (-decodeAngle(angle) * 180) / Math.PI;
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Degrees counter-clockwise to template angle byte
+ */
+function fromStandardDegrees(degrees) {
+  let radians = (-degrees * Math.PI) / 180;
+  radians = Math.atan2(Math.sin(radians), Math.cos(radians));
+  return encodeAngle(radians);
+}
+
+// Records store resolution in pixels per centimetre
+const toPixelsPerCm = dpi => Math.round(dpi / 2.54);
+const toDpi = pixelsPerCm => Math.round(pixelsPerCm * 2.54);
+
+/**
+ * Finger position code: 1-5 right thumb to little, 6-10 left, 0 unknown.
+ * Finger indexes here run left thumb (0) to right little (9).
+ */
+function toFingerPosition(fingerIndex) {
+  if (fingerIndex === null || fingerIndex === undefined) return 0;
+  return fingerIndex < 5 ? fingerIndex + 6 : fingerIndex - 4;
+}
+
+function fromFingerPosition(position) {
+  if (position >= 1 && position <= 5) return position + 4;
+  if (position >= 6 && position <= 10) return position - 6;
+  return null;
+}
+
+// ========== Writing ==========
+
+/**
+ * Finger view header, minutiae and (empty) extended data block
+ */
+function writeFingerView(format, { minutiae, fingerIndex, quality }) {
+  const view = Buffer.alloc(VIEW_HEADER_SIZE + minutiae.length * MINUTIA_SIZE + EXTENDED_DATA_SIZE);
+  view[0] = toFingerPosition(fingerIndex);
+  view[1] = LIVE_SCAN_PLAIN;            // view 0, impression type
+  view[2] = Math.max(0, Math.min(100, Math.round(quality || 0)));
+  view[3] = minutiae.length;
+
+  minutiae.forEach((m, i) => {
+    const offset = VIEW_HEADER_SIZE + i * MINUTIA_SIZE;
+    const type = m.type === MINUTIA_TYPE.BIFURCATION ? RECORD_TYPE.BIFURCATION : RECORD_TYPE.ENDING;
+    const degrees = toStandardDegrees(m.angle);
+    view.writeUInt16BE((type << 14) | (m.x & 0x3FFF), offset);
+    view.writeUInt16BE(m.y & 0x3FFF, offset + 2);
+    view[offset + 4] = format === TEMPLATE_FORMAT.ISO
+      ? Math.round(degrees / (360 / 256)) % 256
+      : Math.round(degrees / 2) % 180;
+    view[offset + 5] = 0;               // minutia quality not reported
+  });
+
+  return view;
+}
+
+/**
+ * Write an ISO 19794-2 or ANSI 378 record.
+ * fields: { width, height, dpi, minutiae, fingerIndex, quality }
+ */
+function writeRecord(format, fields) {
+  const { width, height, dpi } = fields;
+  const view = writeFingerView(format, fields);
+
+  if (format === TEMPLATE_FORMAT.ISO) {
+    const header = Buffer.alloc(ISO_HEADER_SIZE);
+    RECORD_MAGIC.copy(header, 0);
+    RECORD_VERSION.copy(header, 4);
+    header.writeUInt32BE(ISO_HEADER_SIZE + view.length, 8);
+    header.writeUInt16BE(0, 12);        // capture equipment: not certified, unknown
+    header.writeUInt16BE(width, 14);
+    header.writeUInt16BE(height, 16);
+    header.writeUInt16BE(toPixelsPerCm(dpi), 18);
+    header.writeUInt16BE(toPixelsPerCm(dpi), 20);
+    header[22] = 1;                     // finger views
+    header[23] = 0;
+    return Buffer.concat([header, view]);
+  }
+
+  if (format === TEMPLATE_FORMAT.ANSI) {
+    const header = Buffer.alloc(ANSI_HEADER_SIZE);
+    RECORD_MAGIC.copy(header, 0);
+    RECORD_VERSION.copy(header, 4);
+    header.writeUInt16BE(ANSI_HEADER_SIZE + view.length, 8);
+    header.writeUInt32BE(0, 10);        // CBEFF product identifier: unregistered
+    header.writeUInt16BE(0, 14);        // capture equipment
+    header.writeUInt16BE(width, 16);
+    header.writeUInt16BE(height, 18);
+    header.writeUInt16BE(toPixelsPerCm(dpi), 20);
+    header.writeUInt16BE(toPixelsPerCm(dpi), 22);
+    header[24] = 1;
+    header[25] = 0;
+    return Buffer.concat([header, view]);
+  }
+
+  throw formatError(`Unknown template format "${format}"`);
+}
+
+// ========== Reading ==========
+
+/**
+ * Identify an ISO 19794-2 or ANSI 378 record by its header and length
+ * field. Returns the format, or null.
+ */
+function detectRecordFormat(record) {
+  if (!Buffer.isBuffer(record) || record.length < ISO_HEADER_SIZE + VIEW_HEADER_SIZE ||
+      !record.slice(0, 4).equals(RECORD_MAGIC) || !record.slice(4, 8).equals(RECORD_VERSION)) {
+    return null;
+  }
+
+  if (record.readUInt32BE(8) === record.length) {
+    return TEMPLATE_FORMAT.ISO;
+  }
+
+  const shortLength = record.readUInt16BE(8);
+  if (shortLength === record.length || (shortLength === 0 && record.length >= 12 && record.readUInt32BE(10) === record.length)) {
+    return TEMPLATE_FORMAT.ANSI;
+  }
+
+  return null;
+}
+
+/**
+ * Read an ISO 19794-2 or ANSI 378 record. Only the first finger view is
+ * used. Returns { format, width, height, dpi, fingerIndex, quality, minutiae }.
+ */
+function readRecord(record) {
+  const format = detectRecordFormat(record);
+  if (!format) {
+    throw formatError('Not an ISO 19794-2 or ANSI 378 finger minutiae record');
+  }
+
+  let offset;
+  let fields;
+  if (format === TEMPLATE_FORMAT.ISO) {
+    fields = {
+      width: record.readUInt16BE(14),
+      height: record.readUInt16BE(16),
+      dpi: toDpi(record.readUInt16BE(18)),
+      views: record[22]
+    };
+    offset = ISO_HEADER_SIZE;
+  } else {
+    // Records over 64 KB put a 4-byte length after a zero 2-byte one
+    const extra = record.readUInt16BE(8) === 0 ? 4 : 0;
+    if (record.length < ANSI_HEADER_SIZE + extra + VIEW_HEADER_SIZE) {
+      throw formatError('ANSI 378 record is truncated');
+    }
+    fields = {
+      width: record.readUInt16BE(16 + extra),
+      height: record.readUInt16BE(18 + extra),
+      dpi: toDpi(record.readUInt16BE(20 + extra)),
+      views: record[24 + extra]
+    };
+    offset = ANSI_HEADER_SIZE + extra;
+  }
+
+  if (fields.views < 1) {
+    throw formatError('Record has no finger views');
+  }
+
+  const count = record[offset + 3];
+  const end = offset + VIEW_HEADER_SIZE + count * MINUTIA_SIZE;
+  if (record.length < end) {
+    throw formatError(`Record is truncated: ${count} minutiae declared`);
+  }
+
+  const minutiae = [];
+  for (let i = 0; i < count; i++) {
+    const at = offset + VIEW_HEADER_SIZE + i * MINUTIA_SIZE;
+    const typeAndX = record.readUInt16BE(at);
+    const type = typeAndX >> 14;
+    const raw = record[at + 4];
+    if (format === TEMPLATE_FORMAT.ANSI && raw >= 180) {
+      throw formatError(`Minutia ${i} has an invalid angle`);
+    }
+    minutiae.push({
+      x: typeAndX & 0x3FFF,
+      y: record.readUInt16BE(at + 2) & 0x3FFF,
+      angle: fromStandardDegrees(format === TEMPLATE_FORMAT.ISO ? raw * (360 / 256) : raw * 2),
+      // "Other" minutiae have no equivalent here and are read as ridge endings
+      type: type === RECORD_TYPE.BIFURCATION ? MINUTIA_TYPE.BIFURCATION : MINUTIA_TYPE.ENDING
+    });
+  }
+
+  return {
+    format,
+    width: fields.width,
+    height: fields.height,
+    dpi: fields.dpi,
+    fingerIndex: fromFingerPosition(record[offset]),
+    quality: record[offset + 2],
+    minutiae
+  };
+}
+
+module.exports = {
+  TEMPLATE_FORMAT,
+  writeRecord,
+  readRecord
+};
@@ -0,0 +1,324 @@
+/**
+ * USB Session Recorder - logs every transfer between SecuGenScanner and the device
+ *
+ * Wraps the USB driver (libusb or the simulator) so each device handle,
+ * interface and endpoint passes through here. While a session is running,
+ * every control and bulk transfer, open/close/reset and string descriptor
+ * read is appended to a JSON Lines file that usb-replay.js can play back.
+ *
+ * Entry format (one JSON object per line):
+ *   { t, op: 'session', version, driver, startedAt }
+ *   { t, device, op: 'device', descriptor, bus, address, interfaces }
+ *   { t, device, op: 'control', requestType, request, value, index, length, data, error }
+ *   { t, device, op: 'bulk', endpoint, direction, length, data, error }
+ *   { t, device, op: 'open' | 'close' | 'reset' | 'attach' | 'detach', error }
+ *   { t, device, op: 'string', index, data, error }
+ *
+ * `t` is ms since the session started, `data` is hex (text for string
+ * descriptors) and `error` is the libusb error message, or null.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const RECORDING_VERSION = 1;
+const VENDOR_IN = 0xC0;
+
+let session = null;
+
+/**
+ * Stable key for a device within a recording (bus-address)
+ */
+function deviceKey(device) {
+  return `${device.busNumber}-${device.deviceAddress}`;
+}
+
+function toHex(data) {
+  return Buffer.isBuffer(data) ? data.toString('hex') : null;
+}
+
+/**
+ * Append one entry to the active session, describing the device first if
+ * this session has not seen it yet (or its interfaces appeared on open)
+ */
+function record(device, entry) {
+  if (!session) return;
+
+  if (device) {
+    const interfaceCount = device.raw.interfaces ? device.raw.interfaces.length : 0;
+    if (session.described.get(device.key) !== interfaceCount) {
+      session.described.set(device.key, interfaceCount);
+      write(describeDevice(device));
+    }
+  }
+
+  write({ device: device ? device.key : undefined, ...entry });
+}
+
+function write(entry) {
+  session.entries++;
+  fs.writeSync(session.fd, JSON.stringify({ t: Date.now() - session.startedAt, ...entry }) + '\n');
+}
+
+function describeDevice(device) {
+  const raw = device.raw;
+  return {
+    device: device.key,
+    op: 'device',
+    descriptor: { ...raw.deviceDescriptor },
+    bus: raw.busNumber,
+    address: raw.deviceAddress,
+    interfaces: (raw.interfaces || []).map(iface => ({
+      endpoints: iface.endpoints.map(endpoint => ({
+        address: endpoint.address,
+        direction: endpoint.direction,
+        transferType: endpoint.transferType
+      }))
+    }))
+  };
+}
+
+/**
+ * Invoke a node-usb style callback API and record the outcome
+ */
+function recordCallback(device, entry, callback, format = toHex) {
+  return (error, data) => {
+    record(device, { ...entry, data: error ? null : format(data), error: error ? error.message : null });
+    if (callback) callback(error, data);
+  };
+}
+
+// ========== Wrappers ==========
+
+class RecordedEndpoint {
+  constructor(device, endpoint) {
+    this.device = device;
+    this.raw = endpoint;
+    this.address = endpoint.address;
+    this.direction = endpoint.direction;
+    this.transferType = endpoint.transferType;
+  }
+
+  get timeout() {
+    return this.raw.timeout;
+  }
+
+  set timeout(value) {
+    this.raw.timeout = value;
+  }
+
+  transfer(lengthOrBuffer, callback) {
+    const entry = {
+      op: 'bulk',
+      endpoint: this.address,
+      direction: this.direction,
+      length: typeof lengthOrBuffer === 'number' ? lengthOrBuffer : lengthOrBuffer.length
+    };
+
+    // OUT transfers record what was sent, IN transfers what came back
+    if (this.direction === 'out') {
+      const sent = toHex(lengthOrBuffer);
+      return this.raw.transfer(lengthOrBuffer, recordCallback(this.device, entry, callback, () => sent));
+    }
+    return this.raw.transfer(lengthOrBuffer, recordCallback(this.device, entry, callback));
+  }
+}
+
+class RecordedInterface {
+  constructor(device, iface) {
+    this.raw = iface;
+    this.endpoints = iface.endpoints.map(endpoint => new RecordedEndpoint(device, endpoint));
+  }
+
+  isKernelDriverActive() {
+    return this.raw.isKernelDriverActive();
+  }
+
+  detachKernelDriver() {
+    return this.raw.detachKernelDriver();
+  }
+
+  claim() {
+    return this.raw.claim();
+  }
+
+  release(...args) {
+    return this.raw.release(...args);
+  }
+}
+
+class RecordedDevice {
+  constructor(device) {
+    this.raw = device;
+    this.key = deviceKey(device);
+    this.ifaces = null;
+  }
+
+  get deviceDescriptor() {
+    return this.raw.deviceDescriptor;
+  }
+
+  get busNumber() {
+    return this.raw.busNumber;
+  }
+
+  get deviceAddress() {
+    return this.raw.deviceAddress;
+  }
+
+  // Interfaces only exist once the device is open
+  get interfaces() {
+    if (!this.raw.interfaces) return this.raw.interfaces;
+    if (!this.ifaces || this.ifaces.length !== this.raw.interfaces.length) {
+      this.ifaces = this.raw.interfaces.map(iface => new RecordedInterface(this, iface));
+    }
+    return this.ifaces;
+  }
+
+  interface(index) {
+    return this.interfaces[index];
+  }
+
+  open() {
+    this.syncOp('open', () => this.raw.open());
+    this.ifaces = null;
+  }
+
+  close() {
+    this.syncOp('close', () => this.raw.close());
+  }
+
+  syncOp(op, fn) {
+    try {
+      fn();
+      record(this, { op, error: null });
+    } catch (error) {
+      record(this, { op, error: error.message });
+      throw error;
+    }
+  }
+
+  reset(callback) {
+    this.raw.reset(recordCallback(this, { op: 'reset' }, callback, () => null));
+  }
+
+  getStringDescriptor(index, callback) {
+    this.raw.getStringDescriptor(index, recordCallback(this, { op: 'string', index }, callback, data => data));
+  }
+
+  controlTransfer(requestType, request, value, index, dataOrLength, callback) {
+    const isIn = requestType === VENDOR_IN || (requestType & 0x80) !== 0;
+    const entry = {
+      op: 'control',
+      requestType,
+      request,
+      value,
+      index,
+      length: typeof dataOrLength === 'number' ? dataOrLength : dataOrLength.length
+    };
+
+    const sent = isIn ? null : toHex(dataOrLength);
+    return this.raw.controlTransfer(
+      requestType, request, value, index, dataOrLength,
+      recordCallback(this, entry, callback, isIn ? toHex : () => sent)
+    );
+  }
+}
+
+// ========== Driver Wrapper ==========
+
+/**
+ * Wrap a usb-compatible driver. Devices keep one wrapper for their lifetime,
+ * and hot-plug listeners are forwarded to the driver only while subscribed
+ * (libusb starts polling when the first listener is added).
+ */
+function wrap(driver) {
+  const wrappers = new WeakMap();
+  const wrapDevice = (device) => {
+    if (!wrappers.has(device)) {
+      wrappers.set(device, new RecordedDevice(device));
+    }
+    return wrappers.get(device);
+  };
+
+  const emitter = new EventEmitter();
+  const forwarders = {
+    attach: (device) => {
+      const wrapped = wrapDevice(device);
+      record(wrapped, { op: 'attach', error: null });
+      emitter.emit('attach', wrapped);
+    },
+    detach: (device) => {
+      const wrapped = wrapDevice(device);
+      record(wrapped, { op: 'detach', error: null });
+      emitter.emit('detach', wrapped);
+    }
+  };
+
+  emitter.on('newListener', (event) => {
+    if (forwarders[event] && emitter.listenerCount(event) === 0) {
+      driver.usb.on(event, forwarders[event]);
+    }
+  });
+  emitter.on('removeListener', (event) => {
+    if (forwarders[event] && emitter.listenerCount(event) === 0) {
+      driver.usb.removeListener(event, forwarders[event]);
+    }
+  });
+
+  return {
+    usb: emitter,
+    getDeviceList() {
+      return driver.getDeviceList().map(wrapDevice);
+    }
+  };
+}
+
+// ========== Sessions ==========
+
+/**
+ * Start writing transfers to a file. Devices already known are described
+ * when they are next used.
+ */
+function start(file, driverName) {
+  if (session) {
+    throw new Error(`Already recording to ${session.file}`);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  session = {
+    file,
+    fd: fs.openSync(file, 'a'),
+    startedAt: Date.now(),
+    entries: 0,
+    described: new Map()
+  };
+
+  write({ op: 'session', version: RECORDING_VERSION, driver: driverName, startedAt: new Date(session.startedAt).toISOString() });
+  console.log(`[USB] Recording transfers to ${file}`);
+  return status();
+}
+
+/**
+ * Stop the active session and close its file
+ */
+function stop() {
+  if (!session) {
+    return null;
+  }
+
+  const result = status();
+  fs.closeSync(session.fd);
+  session = null;
+  console.log(`[USB] Recording stopped (${result.entries} entries)`);
+  return result;
+}
+
+function status() {
+  return session
+    ? { recording: true, file: session.file, entries: session.entries, startedAt: new Date(session.startedAt).toISOString() }
+    : { recording: false };
+}
+
+module.exports = { wrap, start, stop, status, RECORDING_VERSION };
@@ -0,0 +1,243 @@
+/**
+ * USB Session Replay - plays a usb-recorder.js recording back as a USB driver
+ *
+ * Stands in for the `usb` module when SCANNER_DRIVER=replay. Devices are
+ * rebuilt from the recording's `device` entries and answer each call with
+ * the next recorded entry for that device, so a customer's capture session
+ * runs through SecuGenScanner exactly as it did on their machine.
+ *
+ * A call that differs from the recording (different request, value or OUT
+ * payload) fails with REPLAY_MISMATCH and is listed in summary().mismatches;
+ * calls past the end of the recording fail with REPLAY_EXHAUSTED. Hot-plug
+ * events fire at their recorded offsets.
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { RECORDING_VERSION } = require('./usb-recorder');
+
+function replayError(code, message) {
+  const error = new Error(`${code}: ${message}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Rebuild a recorded error so callers see the original libusb message
+ */
+function recordedError(entry) {
+  const error = new Error(entry.error);
+  error.code = entry.error;
+  return error;
+}
+
+function describe(call) {
+  return Object.entries(call).map(([key, value]) => `${key}=${value}`).join(' ');
+}
+
+class ReplayEndpoint {
+  constructor(device, { address, direction, transferType }) {
+    this.device = device;
+    this.address = address;
+    this.direction = direction;
+    this.transferType = transferType;
+    this.timeout = 0;
+  }
+
+  transfer(lengthOrBuffer, callback) {
+    const call = { op: 'bulk', endpoint: this.address, direction: this.direction };
+    if (this.direction === 'out') {
+      call.data = Buffer.from(lengthOrBuffer).toString('hex');
+    }
+
+    this.device.reply(call, callback);
+    return this;
+  }
+}
+
+class ReplayInterface {
+  constructor(device, { endpoints }) {
+    this.endpoints = endpoints.map(endpoint => new ReplayEndpoint(device, endpoint));
+  }
+
+  isKernelDriverActive() {
+    return false;
+  }
+
+  detachKernelDriver() {}
+
+  claim() {}
+
+  release(callback) {
+    if (callback) setImmediate(callback);
+  }
+}
+
+class ReplayDevice {
+  constructor(replay, entry) {
+    this.replay = replay;
+    this.key = entry.device;
+    this.deviceDescriptor = entry.descriptor;
+    this.busNumber = entry.bus;
+    this.deviceAddress = entry.address;
+    this.layout = entry.interfaces;
+    this.interfaces = undefined;
+    this.attached = true;
+    this.script = [];
+    this.position = 0;
+  }
+
+  /**
+   * Take the next recorded entry and check it against the call being made.
+   * Returns the entry, or throws REPLAY_MISMATCH / REPLAY_EXHAUSTED.
+   */
+  next(call) {
+    const entry = this.script[this.position];
+    if (!entry) {
+      throw replayError('REPLAY_EXHAUSTED', `${this.key} has no recorded entry for ${describe(call)}`);
+    }
+
+    const differs = Object.keys(call).filter(key => entry[key] !== call[key]);
+    if (differs.length > 0) {
+      const expected = describe(Object.fromEntries(Object.keys(call).filter(key => key in entry).map(key => [key, entry[key]])));
+      const mismatch = { device: this.key, position: this.position, expected, actual: describe(call) };
+      this.replay.mismatches.push(mismatch);
+      console.warn(`[REPLAY] Mismatch on ${this.key} at entry ${this.position}: expected ${expected}, got ${mismatch.actual}`);
+      throw replayError('REPLAY_MISMATCH', `expected ${expected}, got ${mismatch.actual}`);
+    }
+
+    this.position++;
+    this.replay.consumed++;
+    return entry;
+  }
+
+  /**
+   * Answer a callback-style call from the recording
+   */
+  reply(call, callback, decode = data => (data === null ? undefined : Buffer.from(data, 'hex'))) {
+    setImmediate(() => {
+      let entry;
+      try {
+        entry = this.next(call);
+      } catch (error) {
+        return callback(error);
+      }
+      if (entry.error) {
+        return callback(recordedError(entry));
+      }
+      callback(null, decode(entry.data));
+    });
+  }
+
+  open() {
+    const entry = this.next({ op: 'open' });
+    if (entry.error) throw recordedError(entry);
+    this.interfaces = this.layout.map(iface => new ReplayInterface(this, iface));
+  }
+
+  close() {
+    const entry = this.next({ op: 'close' });
+    this.interfaces = undefined;
+    if (entry.error) throw recordedError(entry);
+  }
+
+  interface(index) {
+    return this.interfaces[index];
+  }
+
+  reset(callback) {
+    this.reply({ op: 'reset' }, callback, () => undefined);
+  }
+
+  getStringDescriptor(index, callback) {
+    this.reply({ op: 'string', index }, callback, data => data);
+  }
+
+  controlTransfer(requestType, request, value, index, dataOrLength, callback) {
+    const call = { op: 'control', requestType, request, value, index };
+    if (typeof dataOrLength !== 'number') {
+      call.data = Buffer.from(dataOrLength).toString('hex');
+    }
+    this.reply(call, callback);
+  }
+}
+
+/**
+ * Load a recording and return a usb-compatible driver that replays it
+ */
+function load(file) {
+  if (!file) {
+    throw new Error('USB_REPLAY_FILE is required with SCANNER_DRIVER=replay');
+  }
+
+  const entries = fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+
+  const header = entries.find(entry => entry.op === 'session');
+  if (!header || header.version !== RECORDING_VERSION) {
+    throw new Error(`${file} is not a version ${RECORDING_VERSION} USB recording`);
+  }
+
+  const replay = {
+    file,
+    consumed: 0,
+    mismatches: [],
+    devices: new Map(),
+    usb: new EventEmitter(),
+    timers: [],
+
+    getDeviceList() {
+      return [...this.devices.values()].filter(device => device.attached);
+    },
+
+    summary() {
+      const remaining = [...this.devices.values()]
+        .reduce((total, device) => total + device.script.length - device.position, 0);
+      return {
+        file: this.file,
+        devices: [...this.devices.keys()],
+        consumed: this.consumed,
+        remaining,
+        mismatches: this.mismatches
+      };
+    }
+  };
+
+  for (const entry of entries) {
+    if (entry.op === 'device') {
+      // Re-described once the device was opened and its interfaces known
+      if (!replay.devices.has(entry.device)) {
+        replay.devices.set(entry.device, new ReplayDevice(replay, entry));
+      } else if (entry.interfaces.length > 0) {
+        replay.devices.get(entry.device).layout = entry.interfaces;
+      }
+      continue;
+    }
+
+    const device = replay.devices.get(entry.device);
+    if (!device) continue;
+
+    // Hot-plug events are timed, not requested, so they leave the script
+    if (entry.op === 'attach' || entry.op === 'detach') {
+      if (entry.op === 'attach' && device.script.length === 0) {
+        device.attached = false;
+      }
+      const timer = setTimeout(() => {
+        device.attached = entry.op === 'attach';
+        replay.usb.emit(entry.op, device);
+      }, entry.t - header.t);
+      timer.unref();
+      replay.timers.push(timer);
+      continue;
+    }
+
+    device.script.push(entry);
+  }
+
+  console.log(`[REPLAY] Loaded ${file}: ${replay.devices.size} device(s), ${entries.length} entries`);
+  return replay;
+}
+
+module.exports = { load };
@@ -0,0 +1,40 @@
+/**
+ * USB driver selection
+ *
+ * The libusb binding, virtual scanners (SCANNER_DRIVER=simulator) or a
+ * recorded session played back (SCANNER_DRIVER=replay). All expose
+ * getDeviceList() and the attach/detach emitter at `.usb`. Live drivers go
+ * through the session recorder so transfers can be captured on demand.
+ * Virtual drivers are flagged `.virtual`: no finger was ever on their
+ * sensor, so their captures are reported as synthetic.
+ */
+
+const config = require('./config');
+const recorder = require('./usb-recorder');
+
+let driver;
+if (config.scannerDriver === 'replay') {
+  console.log(`[USB] Replaying ${config.usbReplayFile} (SCANNER_DRIVER=replay)`);
+  driver = require('./usb-replay').load(config.usbReplayFile);
+  driver.virtual = true;
+} else if (config.scannerDriver === 'simulator') {
+  console.log('[USB] Using scanner simulator (SCANNER_DRIVER=simulator)');
+  driver = recorder.wrap(require('./simulator'));
+  driver.virtual = true;
+} else {
+  driver = recorder.wrap(require('usb'));
+}
+
+if (driver.virtual && !config.demoMode) {
+  console.warn(`[USB] SCANNER_DRIVER=${config.scannerDriver} captures are synthetic: enroll, verify, identify and register refuse them unless DEMO_MODE=true`);
+}
+
+if (config.usbRecordFile && config.scannerDriver !== 'replay') {
+  if (config.usbRecordingAllowed) {
+    recorder.start(config.usbRecordFile, config.scannerDriver);
+  } else {
+    console.warn('[USB] Ignoring USB_RECORD_FILE: recordings contain fingerprint images and are disabled in production and with strict capture');
+  }
+}
+
+module.exports = driver;
@@ -0,0 +1,963 @@
+/**
+ * WSQ Codec - FBI Wavelet Scalar Quantization for 8-bit grayscale images
+ *
+ * Pure JavaScript encoder and decoder for the WSQ gray-scale fingerprint
+ * image compression specification (IAFIS-IC-0110 v3), the format expected
+ * by government biometric programs for 500 dpi fingerprints:
+ *
+ *   1. The image is shifted and scaled to roughly -128..128
+ *   2. A 9/7 biorthogonal wavelet splits it into 64 subbands, 60 of them kept
+ *   3. Each subband is scalar-quantized with a dead zone; bin widths follow
+ *      from the subband variances and the target bit rate
+ *   4. The quantized coefficients are Huffman coded in three blocks, with
+ *      zero runs and large values escaped
+ *
+ * Files carry their own filter, quantization and Huffman tables, and a
+ * NISTCOM comment with the resolution. The bit rate sets the compression:
+ * 0.75 bits per pixel (about 15:1 on fingerprints) is the FBI setting,
+ * 2.25 gives about 5:1.
+ */
+
+const MARKER = {
+  SOI: 0xFFA0,   // start of image
+  EOI: 0xFFA1,   // end of image
+  SOF: 0xFFA2,   // frame header
+  SOB: 0xFFA3,   // block header
+  DTT: 0xFFA4,   // transform table
+  DQT: 0xFFA5,   // quantization table
+  DHT: 0xFFA6,   // Huffman table
+  DRT: 0xFFA7,   // restart interval
+  COM: 0xFFA8    // comment
+};
+
+const DEFAULT_BITRATE = 0.75;
+const MIN_DIMENSION = 64;
+
+// 9/7 biorthogonal analysis filters, from the centre tap outwards
+const LOW_PASS = [0.852698679009403, 0.377402855612654, -0.110624404418423, -0.023849465019380, 0.037828455506995];
+const HIGH_PASS = [0.788485616405665, -0.418092273222212, -0.040689417609558, 0.064538882628938];
+
+// ========== Subband Tree ==========
+
+// The wavelet tree: a node is split into quadrants [top-left, top-right,
+// bottom-left, bottom-right], each split again (array), kept as a subband
+// (LEAF) or dropped (null). Leaves in depth-first order are subbands 0-59.
+const LEAF = 1;
+const QUAD = [LEAF, LEAF, LEAF, LEAF];
+const DECOMPOSITION = [
+  [
+    [[QUAD, LEAF, LEAF, LEAF], QUAD, QUAD, QUAD],
+    [QUAD, QUAD, QUAD, QUAD],
+    [QUAD, QUAD, QUAD, QUAD],
+    LEAF
+  ],
+  QUAD,
+  QUAD,
+  null    // the highest frequencies carry no ridge detail and are not coded
+];
+
+const MAX_SUBBANDS = 64;
+
+// Subbands coded in each of the three Huffman blocks (first, end)
+const BLOCKS = [[0, 19], [19, 52], [52, 60]];
+
+// Share of the image each subband covers
+const subbandArea = k => (k < 4 ? 1 / 1024 : k < 51 ? 1 / 256 : 1 / 16);
+
+// Relative bin width weights of the coarsest-split high-frequency subbands
+const BIN_WEIGHTS = { 52: 1.32, 53: 1.08, 54: 1.42, 55: 1.08, 56: 1.32, 57: 1.42, 58: 1.08, 59: 1.08 };
+
+// Subbands with less variance than this are not coded at all
+const VARIANCE_THRESHOLD = 1.01;
+
+// Dead zone width relative to the bin width, and reconstruction offset
+// within a bin (as a fraction of the bin width)
+const ZERO_BIN_RATIO = 1.2;
+const BIN_CENTER = 0.44;
+
+/**
+ * Lengths of the two halves of a split. The low-pass half gets the extra
+ * sample of an odd length; a spectrally inverted direction (the high-pass
+ * side of its parent) stores its high-pass half first.
+ */
+function halves(length, inverted) {
+  const low = Math.ceil(length / 2);
+  const high = length - low;
+  return inverted ? [high, low] : [low, high];
+}
+
+function splitRegion({ x, y, width, height, invertX, invertY }) {
+  const [w1, w2] = halves(width, invertX);
+  const [h1, h2] = halves(height, invertY);
+  return [
+    { x, y, width: w1, height: h1, invertX: false, invertY: false },
+    { x: x + w1, y, width: w2, height: h1, invertX: true, invertY: false },
+    { x, y: y + h1, width: w1, height: h2, invertX: false, invertY: true },
+    { x: x + w1, y: y + h1, width: w2, height: h2, invertX: true, invertY: true }
+  ];
+}
+
+/**
+ * Regions split by the transform (parents first) and the subband regions
+ * (in subband order) for an image size
+ */
+function buildTree(width, height) {
+  const splits = [];
+  const subbands = [];
+
+  const visit = (node, region) => {
+    if (node === null) return;
+    if (node === LEAF) {
+      subbands.push(region);
+      return;
+    }
+    splits.push(region);
+    const quadrants = splitRegion(region);
+    node.forEach((child, i) => visit(child, quadrants[i]));
+  };
+
+  visit(DECOMPOSITION, { x: 0, y: 0, width, height, invertX: false, invertY: false });
+  return { splits, subbands };
+}
+
+// ========== Wavelet Transform ==========
+
+/**
+ * Whole-sample symmetric extension: ... 2 1 | 0 1 2 ... n-1 | n-2 n-3 ...
+ */
+function reflect(i, length) {
+  if (length === 1) return 0;
+  const period = 2 * (length - 1);
+  i = ((i % period) + period) % period;
+  return i < length ? i : period - i;
+}
+
+/**
+ * Split one line into low-pass (even-centred) and high-pass (odd-centred)
+ * halves
+ */
+function analyzeLine(line, length, out, inverted, filters) {
+  const lowLength = Math.ceil(length / 2);
+  const highLength = length - lowLength;
+  const lowStart = inverted ? highLength : 0;
+  const highStart = inverted ? 0 : lowLength;
+  const { low, high } = filters;
+
+  for (let k = 0; k < lowLength; k++) {
+    let sum = low[0] * line[2 * k];
+    for (let i = 1; i < low.length; i++) {
+      sum += low[i] * (line[reflect(2 * k - i, length)] + line[reflect(2 * k + i, length)]);
+    }
+    out[lowStart + k] = sum;
+  }
+
+  for (let k = 0; k < highLength; k++) {
+    const centre = 2 * k + 1;
+    let sum = high[0] * line[centre];
+    for (let i = 1; i < high.length; i++) {
+      sum += high[i] * (line[reflect(centre - i, length)] + line[reflect(centre + i, length)]);
+    }
+    out[highStart + k] = sum;
+  }
+}
+
+/**
+ * Rebuild a line from its two halves. The halves are put back on the even
+ * and odd samples and filtered with the synthesis filters, which are the
+ * analysis filters of the other band with alternating signs.
+ */
+function synthesizeLine(coeffs, length, out, inverted, filters) {
+  const lowLength = Math.ceil(length / 2);
+  const highLength = length - lowLength;
+  const lowStart = inverted ? highLength : 0;
+  const highStart = inverted ? 0 : lowLength;
+  const { low, high } = filters;
+
+  const lowAt = i => {
+    const n = reflect(i, length);
+    return n % 2 === 0 ? coeffs[lowStart + n / 2] : 0;
+  };
+  const highAt = i => {
+    const n = reflect(i, length);
+    return n % 2 === 1 ? coeffs[highStart + (n - 1) / 2] : 0;
+  };
+
+  for (let n = 0; n < length; n++) {
+    let sum = high[0] * lowAt(n) + low[0] * highAt(n);
+    for (let m = 1; m < high.length; m++) {
+      const sign = m % 2 === 0 ? 1 : -1;
+      sum += sign * high[m] * (lowAt(n - m) + lowAt(n + m));
+    }
+    for (let m = 1; m < low.length; m++) {
+      const sign = m % 2 === 0 ? 1 : -1;
+      sum += sign * low[m] * (highAt(n - m) + highAt(n + m));
+    }
+    out[n] = sum;
+  }
+}
+
+/**
+ * Run a line transform over every row, then every column, of a region
+ */
+function transformRegion(data, stride, region, lineTransform, filters) {
+  const { x, y, width, height, invertX, invertY } = region;
+  const line = new Float64Array(Math.max(width, height));
+  const out = new Float64Array(Math.max(width, height));
+
+  for (let row = 0; row < height; row++) {
+    const offset = (y + row) * stride + x;
+    for (let i = 0; i < width; i++) line[i] = data[offset + i];
+    lineTransform(line, width, out, invertX, filters);
+    for (let i = 0; i < width; i++) data[offset + i] = out[i];
+  }
+
+  for (let col = 0; col < width; col++) {
+    const offset = y * stride + x + col;
+    for (let i = 0; i < height; i++) line[i] = data[offset + i * stride];
+    lineTransform(line, height, out, invertY, filters);
+    for (let i = 0; i < height; i++) data[offset + i * stride] = out[i];
+  }
+}
+
+// ========== Quantization ==========
+
+/**
+ * Variance of each subband, measured over its central region (away from
+ * the edge effects of the transform) unless the image is nearly flat
+ */
+function subbandVariances(data, stride, subbands) {
+  const variance = (sb, central) => {
+    const x0 = central ? Math.floor(sb.width / 8) : 0;
+    const y0 = central ? Math.floor((9 * sb.height) / 32) : 0;
+    const w = central ? Math.floor((3 * sb.width) / 4) : sb.width;
+    const h = central ? Math.floor((7 * sb.height) / 16) : sb.height;
+    const n = w * h;
+    if (n < 2) return 0;
+
+    let sum = 0, sumSquares = 0;
+    for (let row = 0; row < h; row++) {
+      const offset = (sb.y + y0 + row) * stride + sb.x + x0;
+      for (let i = 0; i < w; i++) {
+        const v = data[offset + i];
+        sum += v;
+        sumSquares += v * v;
+      }
+    }
+    return (sumSquares - (sum * sum) / n) / (n - 1);
+  };
+
+  let variances = subbands.map(sb => variance(sb, true));
+  if (variances.reduce((total, v) => total + v, 0) < 20000) {
+    variances = subbands.map(sb => variance(sb, false));
+  }
+  return variances;
+}
+
+/**
+ * Bin widths per subband for a target bit rate. Subbands whose bins would
+ * be wider than five standard deviations (a negative bit allocation) are
+ * dropped and the rate is spread over the rest.
+ */
+function binWidths(variances, bitrate) {
+  const relative = variances.map((v, k) => (k < 4 ? 1 : 10 / ((BIN_WEIGHTS[k] || 1) * Math.log(v))));
+  const sigma = variances.map(v => Math.sqrt(v));
+
+  let active = variances.map((v, k) => k).filter(k => variances[k] >= VARIANCE_THRESHOLD);
+  let q = 1;
+  while (active.length > 0) {
+    const area = active.reduce((total, k) => total + subbandArea(k), 0);
+    const product = active.reduce((total, k) => total * Math.pow(sigma[k] / relative[k], subbandArea(k)), 1);
+    q = (Math.pow(2, bitrate / area - 1) / 2.5) / Math.pow(product, 1 / area);
+
+    const remaining = active.filter(k => relative[k] / q < 5 * sigma[k]);
+    if (remaining.length === active.length) break;
+    active = remaining;
+  }
+
+  const widths = new Array(MAX_SUBBANDS).fill(0);
+  for (const k of active) {
+    widths[k] = relative[k] / q;
+  }
+  return widths;
+}
+
+function quantize(value, bin, zeroBin) {
+  if (value > zeroBin / 2) return Math.trunc((value - zeroBin / 2) / bin + 1);
+  if (value < -zeroBin / 2) return Math.trunc((value + zeroBin / 2) / bin - 1);
+  return 0;
+}
+
+function dequantize(value, bin, zeroBin, center) {
+  if (value > 0) return bin * (value - center) + zeroBin / 2;
+  if (value < 0) return bin * (value + center) - zeroBin / 2;
+  return 0;
+}
+
+// ========== Huffman Coding ==========
+
+// Coefficients from -73 to 74 and zero runs up to 100 have their own
+// symbols; anything larger is escaped with an 8- or 16-bit value
+const MAX_COEFFICIENT = 74;
+const MIN_COEFFICIENT = 1 - MAX_COEFFICIENT;
+const MAX_ZERO_RUN = 100;
+const SYMBOL = {
+  POSITIVE_8: 101,
+  NEGATIVE_8: 102,
+  POSITIVE_16: 103,
+  NEGATIVE_16: 104,
+  RUN_8: 105,
+  RUN_16: 106,
+  COEFFICIENT_OFFSET: 180
+};
+const MAX_CODE_LENGTH = 16;
+const RESERVED_SYMBOL = 256;
+
+/**
+ * Turn quantized coefficients into symbols, each { symbol, bits, extra }
+ * where extra is a value written in `bits` raw bits after the code
+ */
+function toSymbols(coefficients) {
+  const symbols = [];
+  let run = 0;
+
+  const flushRun = () => {
+    if (run === 0) return;
+    if (run <= MAX_ZERO_RUN) symbols.push({ symbol: run });
+    else if (run <= 0xFF) symbols.push({ symbol: SYMBOL.RUN_8, bits: 8, extra: run });
+    else symbols.push({ symbol: SYMBOL.RUN_16, bits: 16, extra: run });
+    run = 0;
+  };
+
+  for (const c of coefficients) {
+    if (c === 0) {
+      if (++run === 0xFFFF) flushRun();
+      continue;
+    }
+    flushRun();
+    if (c > MAX_COEFFICIENT) {
+      symbols.push(c > 0xFF
+        ? { symbol: SYMBOL.POSITIVE_16, bits: 16, extra: c }
+        : { symbol: SYMBOL.POSITIVE_8, bits: 8, extra: c });
+    } else if (c < MIN_COEFFICIENT) {
+      symbols.push(-c > 0xFF
+        ? { symbol: SYMBOL.NEGATIVE_16, bits: 16, extra: -c }
+        : { symbol: SYMBOL.NEGATIVE_8, bits: 8, extra: -c });
+    } else {
+      symbols.push({ symbol: c + SYMBOL.COEFFICIENT_OFFSET });
+    }
+  }
+  flushRun();
+
+  return symbols;
+}
+
+/**
+ * Build a Huffman table from symbol counts, limited to 16-bit codes, as in
+ * JPEG (ITU T.81 annex K.2). A reserved symbol keeps any code from being
+ * all ones. Returns { bits (counts per length 1-16), values }.
+ */
+function buildHuffmanTable(counts) {
+  const freq = counts.slice();
+  freq[RESERVED_SYMBOL] = 1;
+  const codeSize = new Array(freq.length).fill(0);
+  const others = new Array(freq.length).fill(-1);
+
+  for (;;) {
+    // Least frequent symbol (largest value on ties), then the next least
+    let v1 = -1, v2 = -1;
+    for (let v = 0; v < freq.length; v++) {
+      if (freq[v] > 0 && (v1 === -1 || freq[v] <= freq[v1])) v1 = v;
+    }
+    for (let v = 0; v < freq.length; v++) {
+      if (freq[v] > 0 && v !== v1 && (v2 === -1 || freq[v] <= freq[v2])) v2 = v;
+    }
+    if (v2 === -1) break;
+
+    freq[v1] += freq[v2];
+    freq[v2] = 0;
+    codeSize[v1]++;
+    while (others[v1] !== -1) {
+      v1 = others[v1];
+      codeSize[v1]++;
+    }
+    others[v1] = v2;
+    codeSize[v2]++;
+    while (others[v2] !== -1) {
+      v2 = others[v2];
+      codeSize[v2]++;
+    }
+  }
+
+  const longest = Math.max(MAX_CODE_LENGTH, ...codeSize);
+  const bits = new Array(longest + 1).fill(0);
+  for (const size of codeSize) {
+    if (size > 0) bits[size]++;
+  }
+
+  // Shorten codes longer than 16 bits, then give up the reserved code
+  for (let i = longest; i > MAX_CODE_LENGTH; i--) {
+    while (bits[i] > 0) {
+      let j = i - 2;
+      while (bits[j] === 0) j--;
+      bits[i] -= 2;
+      bits[i - 1] += 1;
+      bits[j + 1] += 2;
+      bits[j] -= 1;
+    }
+  }
+  let last = MAX_CODE_LENGTH;
+  while (bits[last] === 0) last--;
+  bits[last]--;
+
+  const values = [];
+  for (let size = 1; size <= longest; size++) {
+    for (let v = 0; v < RESERVED_SYMBOL; v++) {
+      if (codeSize[v] === size) values.push(v);
+    }
+  }
+
+  return { bits: bits.slice(1, MAX_CODE_LENGTH + 1), values };
+}
+
+/**
+ * Canonical codes for a table: symbol -> { code, length }
+ */
+function huffmanCodes({ bits, values }) {
+  const codes = new Map();
+  let code = 0, k = 0;
+  for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+    for (let i = 0; i < bits[length - 1]; i++) {
+      codes.set(values[k++], { code, length });
+      code++;
+    }
+    code <<= 1;
+  }
+  return codes;
+}
+
+/**
+ * Decoding limits per code length (T.81 F.2.2.3)
+ */
+function huffmanDecoder({ bits, values }) {
+  const maxCode = new Array(MAX_CODE_LENGTH + 2).fill(-1);
+  const minCode = new Array(MAX_CODE_LENGTH + 2).fill(0);
+  const valuePointer = new Array(MAX_CODE_LENGTH + 2).fill(0);
+  let code = 0, k = 0;
+  for (let length = 1; length <= MAX_CODE_LENGTH; length++) {
+    const count = bits[length - 1];
+    if (count > 0) {
+      valuePointer[length] = k;
+      minCode[length] = code;
+      code += count;
+      k += count;
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+  return { maxCode, minCode, valuePointer, values };
+}
+
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.current = 0;
+    this.count = 0;
+  }
+
+  write(value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+      this.current = (this.current << 1) | ((value >> i) & 1);
+      if (++this.count === 8) this.flushByte();
+    }
+  }
+
+  flushByte() {
+    this.bytes.push(this.current);
+    // A data byte of 0xFF is followed by 0x00 so it is not read as a marker
+    if (this.current === 0xFF) this.bytes.push(0x00);
+    this.current = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Pad the last byte with ones and return the coded bytes
+   */
+  finish() {
+    if (this.count > 0) {
+      this.write((1 << (8 - this.count)) - 1, 8 - this.count);
+    }
+    return Buffer.from(this.bytes);
+  }
+}
+
+class BitReader {
+  constructor(buffer, offset) {
+    this.buffer = buffer;
+    this.offset = offset;
+    this.current = 0;
+    this.count = 0;
+  }
+
+  bit() {
+    if (this.count === 0) {
+      if (this.offset >= this.buffer.length) throw wsqError('WSQ data ends inside a block');
+      const byte = this.buffer[this.offset++];
+      if (byte === 0xFF) {
+        if (this.buffer[this.offset] !== 0x00) throw wsqError('WSQ block ends before all coefficients were read');
+        this.offset++;
+      }
+      this.current = byte;
+      this.count = 8;
+    }
+    this.count--;
+    return (this.current >> this.count) & 1;
+  }
+
+  read(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | this.bit();
+    return value;
+  }
+
+  symbol({ maxCode, minCode, valuePointer, values }) {
+    let code = this.bit();
+    let length = 1;
+    while (code > maxCode[length]) {
+      if (++length > MAX_CODE_LENGTH) throw wsqError('Invalid Huffman code in WSQ data');
+      code = (code << 1) | this.bit();
+    }
+    return values[valuePointer[length] + code - minCode[length]];
+  }
+}
+
+/**
+ * Huffman code a block of quantized coefficients
+ */
+function encodeBlock(coefficients, codes) {
+  const writer = new BitWriter();
+  for (const { symbol, bits, extra } of toSymbols(coefficients)) {
+    const { code, length } = codes.get(symbol);
+    writer.write(code, length);
+    if (bits) writer.write(extra, bits);
+  }
+  return writer.finish();
+}
+
+/**
+ * Decode `count` coefficients of a block. Returns the offset just after
+ * the coded data.
+ */
+function decodeBlock(buffer, offset, decoder, out, start, count) {
+  const reader = new BitReader(buffer, offset);
+  let i = start;
+  const end = start + count;
+
+  while (i < end) {
+    const symbol = reader.symbol(decoder);
+    let run = 0;
+    let value = null;
+
+    if (symbol >= 1 && symbol <= MAX_ZERO_RUN) run = symbol;
+    else if (symbol === SYMBOL.RUN_8) run = reader.read(8);
+    else if (symbol === SYMBOL.RUN_16) run = reader.read(16);
+    else if (symbol === SYMBOL.POSITIVE_8) value = reader.read(8);
+    else if (symbol === SYMBOL.NEGATIVE_8) value = -reader.read(8);
+    else if (symbol === SYMBOL.POSITIVE_16) value = reader.read(16);
+    else if (symbol === SYMBOL.NEGATIVE_16) value = -reader.read(16);
+    else if (symbol > SYMBOL.RUN_16 && symbol < 0xFF) value = symbol - SYMBOL.COEFFICIENT_OFFSET;
+    else throw wsqError(`Invalid WSQ symbol ${symbol}`);
+
+    if (value !== null) {
+      out[i++] = value;
+    } else {
+      if (i + run > end) throw wsqError('WSQ zero run overflows its block');
+      i += run;   // out is zero-filled
+    }
+  }
+
+  return reader.offset;
+}
+
+// ========== File Format ==========
+
+function wsqError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_WSQ';
+  return error;
+}
+
+/**
+ * Scaled decimal used by WSQ tables: value = integer / 10^scale, with the
+ * integer as large as fits in `bytes` bytes
+ */
+function writeScaled(value, bytes) {
+  const buffer = Buffer.alloc(1 + bytes);
+  const max = bytes === 2 ? 0xFFFF : 0xFFFFFFFF;
+  if (value !== 0) {
+    if (value >= max) throw wsqError(`WSQ table value ${value} is out of range`);
+    let scaled = value;
+    let scale = 0;
+    while (scaled < max) {
+      scaled *= 10;
+      scale++;
+    }
+    buffer[0] = scale - 1;
+    buffer.writeUIntBE(Math.round(scaled / 10), 1, bytes);
+  }
+  return buffer;
+}
+
+function readScaled(buffer, offset, bytes) {
+  return buffer.readUIntBE(offset + 1, bytes) / Math.pow(10, buffer[offset]);
+}
+
+// The value a table entry decodes to
+const roundScaled = (value, bytes) => readScaled(writeScaled(value, bytes), 0, bytes);
+
+function segment(marker, body) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(marker, 0);
+  header.writeUInt16BE(body.length + 2, 2);
+  return Buffer.concat([header, body]);
+}
+
+function markerBytes(marker) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(marker, 0);
+  return buffer;
+}
+
+/**
+ * Transform table: filter lengths, then half of each symmetric filter
+ * (sign byte + scaled 4-byte value per tap)
+ */
+function transformTable() {
+  const taps = [...LOW_PASS, ...HIGH_PASS].map(tap =>
+    Buffer.concat([Buffer.from([tap < 0 ? 1 : 0]), writeScaled(Math.abs(tap), 4)]));
+  return segment(MARKER.DTT, Buffer.concat([
+    Buffer.from([LOW_PASS.length * 2 - 1, HIGH_PASS.length * 2 - 1]),
+    ...taps
+  ]));
+}
+
+function quantizationTable(bins, zeroBins) {
+  const entries = [];
+  for (let k = 0; k < MAX_SUBBANDS; k++) {
+    entries.push(writeScaled(bins[k], 2), writeScaled(zeroBins[k], 2));
+  }
+  return segment(MARKER.DQT, Buffer.concat([writeScaled(BIN_CENTER, 2), ...entries]));
+}
+
+function huffmanTable(id, { bits, values }) {
+  return segment(MARKER.DHT, Buffer.from([id, ...bits, ...values]));
+}
+
+function frameHeader(width, height, shift, scale) {
+  const body = Buffer.alloc(6);
+  body[0] = 0;      // black
+  body[1] = 255;    // white
+  body.writeUInt16BE(height, 2);
+  body.writeUInt16BE(width, 4);
+  return segment(MARKER.SOF, Buffer.concat([
+    body,
+    writeScaled(shift, 2),
+    writeScaled(scale, 2),
+    Buffer.from([2, 0, 0])   // encoder number, software id
+  ]));
+}
+
+function blockHeader(tableId) {
+  return segment(MARKER.SOB, Buffer.from([tableId]));
+}
+
+/**
+ * NISTCOM comment describing the image
+ */
+function nistComment(width, height, dpi, bitrate) {
+  const fields = [
+    ['PIX_WIDTH', width],
+    ['PIX_HEIGHT', height],
+    ['PIX_DEPTH', 8],
+    ['PPI', dpi],
+    ['LOSSY', 1],
+    ['COLORSPACE', 'GRAY'],
+    ['COMPRESSION', 'WSQ'],
+    ['WSQ_BITRATE', bitrate.toFixed(6)]
+  ];
+  const text = [`NIST_COM ${fields.length + 1}`, ...fields.map(([name, value]) => `${name} ${value}`)].join('\n');
+  return segment(MARKER.COM, Buffer.from(text, 'ascii'));
+}
+
+// ========== Encoder ==========
+
+/**
+ * Compress an 8-bit grayscale image.
+ * options: { bitrate (bits per pixel, default 0.75), dpi (default 500) }
+ */
+function encodeWsq(imageData, width, height, { bitrate = DEFAULT_BITRATE, dpi = 500 } = {}) {
+  if (width < MIN_DIMENSION || height < MIN_DIMENSION) {
+    throw wsqError(`WSQ images must be at least ${MIN_DIMENSION}x${MIN_DIMENSION} pixels`);
+  }
+  if (imageData.length !== width * height) {
+    throw wsqError(`Image size mismatch: expected ${width * height} bytes for ${width}x${height}`);
+  }
+  if (!(bitrate > 0)) {
+    throw wsqError('WSQ bit rate must be positive');
+  }
+
+  // Shift to zero mean and scale to about -128..128
+  let sum = 0, min = 255, max = 0;
+  for (const p of imageData) {
+    sum += p;
+    if (p < min) min = p;
+    if (p > max) max = p;
+  }
+  const shift = roundScaled(sum / imageData.length, 2);
+  const scale = roundScaled(Math.max(shift - min, max - shift) / 128 || 1, 2);
+
+  const data = new Float64Array(imageData.length);
+  for (let i = 0; i < imageData.length; i++) {
+    data[i] = (imageData[i] - shift) / scale;
+  }
+
+  const { splits, subbands } = buildTree(width, height);
+  // Transform with the taps as stored, so the decoder inverts it exactly
+  const stored = tap => Math.sign(tap) * roundScaled(Math.abs(tap), 4);
+  const filters = { low: LOW_PASS.map(stored), high: HIGH_PASS.map(stored) };
+  for (const region of splits) {
+    transformRegion(data, width, region, analyzeLine, filters);
+  }
+
+  const variances = subbandVariances(data, width, subbands);
+  const bins = binWidths(variances, bitrate).map(q => roundScaled(q, 2));
+  const zeroBins = bins.map(q => roundScaled(ZERO_BIN_RATIO * q, 2));
+
+  // Quantized coefficients per block, subband by subband in raster order
+  const blocks = BLOCKS.map(([first, end]) => {
+    const coefficients = [];
+    for (let k = first; k < end; k++) {
+      if (bins[k] === 0) continue;
+      const sb = subbands[k];
+      for (let row = 0; row < sb.height; row++) {
+        const offset = (sb.y + row) * width + sb.x;
+        for (let i = 0; i < sb.width; i++) {
+          coefficients.push(quantize(data[offset + i], bins[k], zeroBins[k]));
+        }
+      }
+    }
+    return coefficients;
+  });
+
+  // Table 0 codes the first block; table 1 the other two. Symbols are
+  // counted block by block: zero runs do not continue across blocks.
+  const tables = [[blocks[0]], [blocks[1], blocks[2]]].map(group => {
+    const counts = new Array(RESERVED_SYMBOL + 1).fill(0);
+    for (const coefficients of group) {
+      for (const { symbol } of toSymbols(coefficients)) counts[symbol]++;
+    }
+    return buildHuffmanTable(counts);
+  });
+  const codes = tables.map(huffmanCodes);
+
+  return Buffer.concat([
+    markerBytes(MARKER.SOI),
+    nistComment(width, height, dpi, bitrate),
+    transformTable(),
+    quantizationTable(bins, zeroBins),
+    huffmanTable(0, tables[0]),
+    frameHeader(width, height, shift, scale),
+    blockHeader(0),
+    encodeBlock(blocks[0], codes[0]),
+    huffmanTable(1, tables[1]),
+    blockHeader(1),
+    encodeBlock(blocks[1], codes[1]),
+    blockHeader(1),
+    encodeBlock(blocks[2], codes[1]),
+    markerBytes(MARKER.EOI)
+  ]);
+}
+
+// ========== Decoder ==========
+
+/**
+ * Whether a buffer starts like a WSQ file
+ */
+function isWsq(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 2 && buffer.readUInt16BE(0) === MARKER.SOI;
+}
+
+function readTransformTable(body) {
+  const [lowSize, highSize] = body;
+  if (lowSize !== LOW_PASS.length * 2 - 1 || highSize !== HIGH_PASS.length * 2 - 1) {
+    throw wsqError(`Unsupported WSQ filter lengths ${lowSize}/${highSize}`);
+  }
+  const taps = [];
+  for (let i = 0; i < LOW_PASS.length + HIGH_PASS.length; i++) {
+    const at = 2 + i * 6;
+    taps.push((body[at] ? -1 : 1) * readScaled(body, at + 1, 4));
+  }
+  return { low: taps.slice(0, LOW_PASS.length), high: taps.slice(LOW_PASS.length) };
+}
+
+function readQuantizationTable(body) {
+  const bins = [], zeroBins = [];
+  for (let k = 0; k < MAX_SUBBANDS; k++) {
+    bins.push(readScaled(body, 3 + k * 6, 2));
+    zeroBins.push(readScaled(body, 6 + k * 6, 2));
+  }
+  return { center: readScaled(body, 0, 2), bins, zeroBins };
+}
+
+/**
+ * A DHT segment may hold several tables
+ */
+function readHuffmanTables(body, tables) {
+  let at = 0;
+  while (at < body.length) {
+    const id = body[at];
+    const bits = [...body.slice(at + 1, at + 1 + MAX_CODE_LENGTH)];
+    const total = bits.reduce((sum, n) => sum + n, 0);
+    const values = [...body.slice(at + 1 + MAX_CODE_LENGTH, at + 1 + MAX_CODE_LENGTH + total)];
+    if (bits.length < MAX_CODE_LENGTH || values.length < total) {
+      throw wsqError('Truncated WSQ Huffman table');
+    }
+    tables[id] = huffmanDecoder({ bits, values });
+    at += 1 + MAX_CODE_LENGTH + total;
+  }
+}
+
+function readFrameHeader(body) {
+  return {
+    height: body.readUInt16BE(2),
+    width: body.readUInt16BE(4),
+    shift: readScaled(body, 6, 2),
+    scale: readScaled(body, 9, 2)
+  };
+}
+
+function readComment(body) {
+  const text = body.toString('ascii');
+  if (!text.startsWith('NIST_COM')) return {};
+  const fields = {};
+  for (const line of text.split('\n')) {
+    const [name, ...value] = line.trim().split(/\s+/);
+    if (name) fields[name] = value.join(' ');
+  }
+  return fields;
+}
+
+/**
+ * Offset of the next marker at or after `offset`
+ */
+function nextMarker(buffer, offset) {
+  for (let i = offset; i + 1 < buffer.length; i++) {
+    if (buffer[i] === 0xFF && buffer[i + 1] >= 0xA0 && buffer[i + 1] <= 0xA8) return i;
+  }
+  throw wsqError('WSQ data is missing its end marker');
+}
+
+/**
+ * Decompress a WSQ file. Returns { imageData, width, height, dpi } where
+ * dpi comes from the NISTCOM comment (null if absent).
+ */
+function decodeWsq(buffer) {
+  if (!isWsq(buffer)) {
+    throw wsqError('Not a WSQ file');
+  }
+
+  let filters = null, quantization = null, frame = null, tree = null, coefficients = null;
+  let dpi = null;
+  const tables = [];
+  let blockIndex = 0;
+  let offset = 2;
+
+  for (;;) {
+    if (offset + 2 > buffer.length) throw wsqError('WSQ data is missing its end marker');
+    const marker = buffer.readUInt16BE(offset);
+    offset += 2;
+    if (marker === MARKER.EOI) break;
+
+    if (marker < MARKER.SOI || marker > MARKER.COM || offset + 2 > buffer.length) {
+      throw wsqError(`Unexpected WSQ marker 0x${marker.toString(16)}`);
+    }
+    const length = buffer.readUInt16BE(offset);
+    const body = buffer.slice(offset + 2, offset + length);
+    if (length < 2 || body.length !== length - 2) throw wsqError('Truncated WSQ segment');
+    offset += length;
+
+    switch (marker) {
+      case MARKER.DTT:
+        filters = readTransformTable(body);
+        break;
+      case MARKER.DQT:
+        quantization = readQuantizationTable(body);
+        break;
+      case MARKER.DHT:
+        readHuffmanTables(body, tables);
+        break;
+      case MARKER.COM: {
+        const ppi = parseInt(readComment(body).PPI);
+        if (ppi > 0) dpi = ppi;
+        break;
+      }
+      case MARKER.SOF:
+        frame = readFrameHeader(body);
+        if (frame.width < MIN_DIMENSION || frame.height < MIN_DIMENSION) {
+          throw wsqError(`Invalid WSQ image size ${frame.width}x${frame.height}`);
+        }
+        tree = buildTree(frame.width, frame.height);
+        break;
+      case MARKER.SOB: {
+        if (!filters || !quantization || !frame) {
+          throw wsqError('WSQ block before its transform, quantization or frame header');
+        }
+        const decoder = tables[body[0]];
+        if (!decoder) throw wsqError(`WSQ block uses undefined Huffman table ${body[0]}`);
+        if (blockIndex >= BLOCKS.length) throw wsqError('Too many WSQ blocks');
+
+        const sizes = tree.subbands.map((sb, k) => (quantization.bins[k] ? sb.width * sb.height : 0));
+        if (!coefficients) coefficients = new Int32Array(sizes.reduce((sum, n) => sum + n, 0));
+        const [first, end] = BLOCKS[blockIndex++];
+        const start = sizes.slice(0, first).reduce((sum, n) => sum + n, 0);
+        const count = sizes.slice(first, end).reduce((sum, n) => sum + n, 0);
+
+        offset = nextMarker(buffer, decodeBlock(buffer, offset, decoder, coefficients, start, count));
+        break;
+      }
+      default:
+        break;    // restart intervals are not used; unknown segments skipped
+    }
+  }
+
+  if (!frame || blockIndex !== BLOCKS.length) {
+    throw wsqError('WSQ data is incomplete');
+  }
+
+  // Dequantize into the subbands and invert the transform, finest last
+  const { width, height, shift, scale } = frame;
+  const data = new Float64Array(width * height);
+  const { center, bins, zeroBins } = quantization;
+  let i = 0;
+  tree.subbands.forEach((sb, k) => {
+    if (!bins[k]) return;
+    for (let row = 0; row < sb.height; row++) {
+      const start = (sb.y + row) * width + sb.x;
+      for (let x = 0; x < sb.width; x++) {
+        data[start + x] = dequantize(coefficients[i++], bins[k], zeroBins[k], center);
+      }
+    }
+  });
+
+  for (const region of [...tree.splits].reverse()) {
+    transformRegion(data, width, region, synthesizeLine, filters);
+  }
+
+  const imageData = Buffer.alloc(width * height);
+  for (let p = 0; p < data.length; p++) {
+    imageData[p] = Math.max(0, Math.min(255, Math.round(data[p] * scale + shift)));
+  }
+
+  return { imageData, width, height, dpi };
+}
+
+module.exports = { encodeWsq, decodeWsq, isWsq, DEFAULT_BITRATE };
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { getEngine, DEFAULT_ENGINE } = require('../src/engines');
+const { ridgeImage, startServer } = require('./fixtures');
+
+// The simulator's default scanner
+const SERIAL = 'SIM0001';
+
+let server;
+
+before(async () => {
+  server = await startServer({ SCANNER_ALLOWLIST: 'enforce', DEMO_MODE: 'true', SIMULATOR_FINGER: 'sim-01:1' });
+});
+
+after(() => server.stop());
+
+async function post(route, body) {
+  const response = await fetch(`${server.url}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function auditEntries(event) {
+  const response = await fetch(`${server.url}/api/audit?event=${event}`);
+  return (await response.json()).entries;
+}
+
+// Capture as the web UI does, on the default scanner
+async function capture() {
+  const { status, body } = await post('/api/scanner/capture', { timeout: 15000, minQuality: 40 });
+  assert.strictEqual(status, 200, body.error);
+  return body;
+}
+
+test('templates captured on an approved scanner register and verify with the web UI request bodies', async () => {
+  assert.strictEqual((await post('/api/scanners/approved', { serialNumber: SERIAL })).status, 200);
+
+  // Registration is a multipart form, with no scanner serial
+  const captured = await capture();
+  const form = new FormData();
+  form.append('name', 'Allowlist Test');
+  form.append('email', '');
+  form.append('phone', '');
+  form.append('department', '');
+  form.append('employeeId', 'ALLOW-1');
+  form.append('fingerprintTemplate', captured.template);
+  form.append('fingerprintQuality', String(captured.quality));
+  const registered = await fetch(`${server.url}/api/users/register`, { method: 'POST', body: form });
+  const registration = await registered.json();
+  assert.strictEqual(registered.status, 200, registration.error);
+
+  const [registerEntry] = await auditEntries('register');
+  assert.strictEqual(registerEntry.device_serial, SERIAL);
+
+  // Verification sends only the template
+  const probe = await capture();
+  const verified = await post('/api/users/verify', { fingerprintTemplate: probe.template });
+  assert.strictEqual(verified.status, 200, verified.body.error);
+
+  const [verifyEntry] = await auditEntries('verify');
+  assert.strictEqual(verifyEntry.device_serial, SERIAL);
+  assert.strictEqual(verifyEntry.device_approved, 1);
+});
+
+test('the recorded scanner wins over a serial the client sends', async () => {
+  const probe = await capture();
+  const { status, body } = await post('/api/users/verify', { fingerprintTemplate: probe.template, deviceSerial: 'UNAPPROVED' });
+  assert.strictEqual(status, 200, body.error);
+});
+
+test('templates with no record still need an approved serial', async () => {
+  // Extracted here in the test, not by the server
+  const template = getEngine(DEFAULT_ENGINE).extract(ridgeImage(260, 300), 260, 300);
+  const { status, body } = await post('/api/users/verify', { fingerprintTemplate: template.toString('base64'), deviceSerial: 'UNAPPROVED' });
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.code, 'SCANNER_NOT_APPROVED');
+});
@@ -0,0 +1,21 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+// The Electron service's scanner module, on a virtual scanner
+process.env.SCANNER_DRIVER = 'simulator';
+process.env.SIMULATOR_FINGER = 'sim-01:1';
+
+const scanner = require('../electron-app/fingerprint-macos');
+
+after(() => scanner.disconnect());
+
+test('the Electron scanner module captures from the simulator', async () => {
+  const connected = await scanner.connect();
+  assert.ok(connected.success, connected.error);
+  assert.strictEqual(connected.deviceInfo.serialNumber, 'SIM0001');
+
+  const captured = await scanner.capture({ timeout: 2000 });
+  assert.ok(captured.success);
+  assert.strictEqual(Buffer.from(captured.image, 'base64').length, captured.width * captured.height);
+  assert.ok(captured.quality >= 40, `quality ${captured.quality}`);
+});
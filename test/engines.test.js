@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Compare the default engine with the neighbours engine, as a deployment
+// trialling it would
+process.env.MATCHER_ENGINE = 'minutiae';
+process.env.MATCHER_COMPARE_ENGINE = 'neighbours';
+
+const config = require('../src/config');
+const { engine, compareEngine, getEngine, engineOfVersion, ENGINE_NAMES, DEFAULT_ENGINE } = require('../src/engines');
+const { ridgeImage, shiftImage, rotateImage } = require('./fixtures');
+
+const WIDTH = 260;
+const HEIGHT = 300;
+const { NORMAL, LOW } = config.securityLevels;
+
+const image = ridgeImage(WIDTH, HEIGHT, { seed: 1 });
+const sameFinger = shiftImage(image, WIDTH, HEIGHT, 6);
+const turnedFinger = rotateImage(image, WIDTH, HEIGHT, 12);
+const otherFinger = ridgeImage(WIDTH, HEIGHT, { seed: 2 });
+
+test('there is more than one engine, and each implements the interface', () => {
+  assert.ok(ENGINE_NAMES.length >= 2);
+  for (const name of ENGINE_NAMES) {
+    const loaded = getEngine(name);
+    assert.strictEqual(loaded.name, name);
+    assert.ok(loaded.version.startsWith(`${name}-`), loaded.version);
+  }
+  assert.strictEqual(getEngine('no-such-engine'), null);
+});
+
+test('a second engine can be selected for comparison', () => {
+  assert.strictEqual(engine.name, DEFAULT_ENGINE);
+  assert.ok(compareEngine, 'comparison is off');
+  assert.strictEqual(compareEngine.name, 'neighbours');
+  assert.notStrictEqual(compareEngine.version, engine.version);
+});
+
+test('template versions map back to their engine', () => {
+  for (const name of ENGINE_NAMES) {
+    assert.strictEqual(engineOfVersion(getEngine(name).version), name);
+    assert.strictEqual(engineOfVersion(name), name);
+  }
+  assert.strictEqual(engineOfVersion(null), DEFAULT_ENGINE);
+  assert.strictEqual(engineOfVersion('other-sdk-3'), 'other-sdk-3');
+});
+
+for (const name of ENGINE_NAMES) {
+  test(`${name} engine matches the same finger and rejects another`, () => {
+    const loaded = getEngine(name);
+    const template = loaded.extract(image, WIDTH, HEIGHT);
+    const genuine = loaded.match(template, loaded.extract(sameFinger, WIDTH, HEIGHT), NORMAL);
+    const impostor = loaded.match(template, loaded.extract(otherFinger, WIDTH, HEIGHT), NORMAL);
+
+    assert.strictEqual(loaded.validate(template).width, WIDTH);
+    assert.ok(genuine.match, `same finger scored ${genuine.score}`);
+    assert.ok(impostor.score < LOW, `other finger scored ${impostor.score}`);
+  });
+
+  test(`${name} engine matches the same finger placed at an angle`, () => {
+    const loaded = getEngine(name);
+    const template = loaded.extract(image, WIDTH, HEIGHT);
+    const genuine = loaded.match(template, loaded.extract(turnedFinger, WIDTH, HEIGHT), NORMAL);
+    const impostor = loaded.match(template, loaded.extract(rotateImage(otherFinger, WIDTH, HEIGHT, 12), WIDTH, HEIGHT), NORMAL);
+
+    assert.ok(genuine.match, `finger turned 12° scored ${genuine.score}`);
+    assert.ok(impostor.score < LOW, `other finger turned 12° scored ${impostor.score}`);
+  });
+
+  test(`${name} engine identifies the probe's finger first`, () => {
+    const loaded = getEngine(name);
+    const candidates = [otherFinger, image].map((candidateImage, index) => ({
+      index,
+      template: loaded.extract(candidateImage, WIDTH, HEIGHT)
+    }));
+    const [best] = loaded.identify(loaded.extract(sameFinger, WIDTH, HEIGHT), candidates, NORMAL);
+
+    assert.strictEqual(best.candidate.index, 1);
+    assert.ok(best.match);
+  });
+
+  test(`${name} engine refuses a corrupted template`, () => {
+    const loaded = getEngine(name);
+    const template = loaded.extract(image, WIDTH, HEIGHT);
+    const corrupted = Buffer.from(template);
+    corrupted[15] ^= 0xFF;
+
+    assert.throws(() => loaded.match(template, corrupted), error => error.code === 'TEMPLATE_DIGEST_MISMATCH');
+  });
+}
@@ -0,0 +1,139 @@
+/**
+ * Test fixtures - synthetic fingerprint-like images, and a server to test
+ * against
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Seeded generator of 0..1 values (same seed, same sequence)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => (state = (Math.imul(state, 1664525) + 1013904223) >>> 0) / 4294967296;
+}
+
+function placeDislocations(random, width, height, defects) {
+  return Array.from({ length: defects }, () => ({
+    x: width * (0.15 + 0.7 * random()),
+    y: height * (0.15 + 0.7 * random()),
+    turn: random() < 0.5 ? 1 : -1
+  }));
+}
+
+/**
+ * An 8-bit grayscale image of concentric ridges about 9 px apart (500 dpi
+ * spacing). Phase dislocations at random points make ridge endings and
+ * bifurcations, so the image has minutiae to extract.
+ */
+function ridgeImage(width, height, { seed = 1, defects = 24, noise = 8 } = {}) {
+  const random = createRandom(seed);
+  const cx = width * 0.5;
+  const cy = height * 0.45;
+  const period = 9;
+  const dislocations = placeDislocations(random, width, height, defects);
+
+  const image = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let phase = 2 * Math.PI * Math.hypot(x - cx, (y - cy) * 1.2) / period;
+      for (const d of dislocations) {
+        phase += d.turn * Math.atan2(y - d.y, x - d.x);
+      }
+      const value = 128 - 90 * Math.cos(phase) + (random() - 0.5) * noise;
+      image[y * width + x] = Math.max(0, Math.min(255, Math.round(value)));
+    }
+  }
+  return image;
+}
+
+/**
+ * Where ridgeImage() with the same options puts its dislocations: the
+ * minutiae an extractor should find
+ */
+function ridgeDislocations(width, height, { seed = 1, defects = 24 } = {}) {
+  return placeDislocations(createRandom(seed), width, height, defects);
+}
+
+/**
+ * Copy of an image moved right and down by `shift` pixels, edges repeated
+ * (a second impression of the same finger)
+ */
+function shiftImage(image, width, height, shift) {
+  const shifted = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    const sourceRow = Math.max(0, y - shift) * width;
+    for (let x = 0; x < width; x++) {
+      shifted[y * width + x] = image[sourceRow + Math.max(0, x - shift)];
+    }
+  }
+  return shifted;
+}
+
+/**
+ * Copy of an image turned `degrees` clockwise about its centre (nearest
+ * pixel; corners brought in from outside are background)
+ */
+function rotateImage(image, width, height, degrees, background = 240) {
+  const theta = (degrees * Math.PI) / 180;
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  const cx = width / 2;
+  const cy = height / 2;
+
+  const rotated = Buffer.alloc(width * height, background);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sx = Math.round(cx + cos * (x - cx) + sin * (y - cy));
+      const sy = Math.round(cy - sin * (x - cx) + cos * (y - cy));
+      if (sx >= 0 && sx < width && sy >= 0 && sy < height) {
+        rotated[y * width + x] = image[sy * width + sx];
+      }
+    }
+  }
+  return rotated;
+}
+
+/**
+ * Start the server on a free-ish port with its own database in a temporary
+ * directory and simulated scanners, plus the given environment. Resolves
+ * to { url, stop } once it answers health checks.
+ */
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprint-test-'));
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const server = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATABASE_PATH: path.join(dir, 'test.db'),
+      SCANNER_DRIVER: 'simulator',
+      ...env
+    },
+    stdio: 'ignore'
+  });
+  const exited = new Promise(resolve => server.once('exit', resolve));
+
+  const stop = async () => {
+    server.kill();
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  const url = `http://localhost:${port}`;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${url}/api/health`);
+      return { url, stop };
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  await stop();
+  throw new Error('Server did not start');
+}
+
+module.exports = { createRandom, ridgeImage, ridgeDislocations, shiftImage, rotateImage, startServer };
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { extractMinutiae, MINUTIA_TYPE } = require('../src/minutiae');
+const { ridgeImage, ridgeDislocations } = require('./fixtures');
+
+const WIDTH = 260;
+const HEIGHT = 300;
+
+// How far a detected minutia may sit from the dislocation that made it
+const TOLERANCE = 8;
+
+// The innermost rings, around the pattern's centre, end too
+const CORE = { x: WIDTH * 0.5, y: HEIGHT * 0.45 };
+const CORE_RADIUS = 24;
+
+function nearest(point, others) {
+  return Math.min(...others.map(other => Math.hypot(other.x - point.x, other.y - point.y)));
+}
+
+test('finds no minutiae on empty glass or unbroken ridges', () => {
+  assert.deepStrictEqual(extractMinutiae(Buffer.alloc(WIDTH * HEIGHT, 240), WIDTH, HEIGHT), []);
+  assert.deepStrictEqual(extractMinutiae(ridgeImage(WIDTH, HEIGHT, { defects: 0 }), WIDTH, HEIGHT), []);
+});
+
+test('finds a minutia at every ridge dislocation, and none elsewhere outside the core', () => {
+  for (const seed of [1, 2]) {
+    const dislocations = ridgeDislocations(WIDTH, HEIGHT, { seed });
+    const minutiae = extractMinutiae(ridgeImage(WIDTH, HEIGHT, { seed }), WIDTH, HEIGHT);
+
+    for (const dislocation of dislocations) {
+      const distance = nearest(dislocation, minutiae);
+      assert.ok(distance <= TOLERANCE, `seed ${seed}: nothing within ${TOLERANCE} px of (${Math.round(dislocation.x)}, ${Math.round(dislocation.y)})`);
+    }
+
+    const spurious = minutiae.filter(minutia =>
+      nearest(minutia, dislocations) > TOLERANCE && nearest(minutia, [CORE]) > CORE_RADIUS
+    );
+    assert.deepStrictEqual(spurious, [], `seed ${seed}: spurious minutiae`);
+  }
+});
+
+test('minutiae are ridge endings or bifurcations with encoded angles', () => {
+  const minutiae = extractMinutiae(ridgeImage(WIDTH, HEIGHT), WIDTH, HEIGHT);
+  const types = new Set(minutiae.map(minutia => minutia.type));
+
+  assert.deepStrictEqual([...types].sort(), [MINUTIA_TYPE.ENDING, MINUTIA_TYPE.BIFURCATION]);
+  for (const minutia of minutiae) {
+    assert.ok(Number.isInteger(minutia.angle) && minutia.angle >= 0 && minutia.angle <= 255, `angle ${minutia.angle}`);
+  }
+});
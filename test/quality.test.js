@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.SCANNER_DRIVER = 'simulator';
+
+const simulator = require('../src/simulator');
+const { assessQuality } = require('../src/quality');
+const { SecuGenScanner } = require('../src/fingerprint');
+const { createRandom, ridgeImage } = require('./fixtures');
+
+const WIDTH = 260;
+const HEIGHT = 300;
+
+const score = image => assessQuality(image, WIDTH, HEIGHT).score;
+
+// Empty glass, and uniform noise
+const blank = Buffer.alloc(WIDTH * HEIGHT, 240);
+const random = createRandom(3);
+const noise = Buffer.from(Array.from({ length: WIDTH * HEIGHT }, () => Math.floor(random() * 256)));
+
+/**
+ * The demo fallback image, in each of its patterns (picked by the clock)
+ */
+function syntheticImages() {
+  const now = Date.now;
+  try {
+    return [0, 1, 2].map(pattern => {
+      Date.now = () => pattern;
+      return SecuGenScanner.prototype.generateSyntheticFingerprint.call({ imageConfig: { width: WIDTH, height: HEIGHT } });
+    });
+  } finally {
+    Date.now = now;
+  }
+}
+
+/**
+ * Impressions of several simulated fingers, with pressure, placement and
+ * sensor noise like a live capture
+ */
+function impressions() {
+  const device = simulator.get();
+  return simulator.identities.slice(0, 4).map(identity => {
+    device.dispatch({ type: 'place', identity, finger: 1 });
+    return device.captureFrame();
+  });
+}
+
+test('quality ranks blank < noise < synthetic < finger-like images', () => {
+  const blankScore = score(blank);
+  const noiseScore = score(noise);
+  const syntheticScores = syntheticImages().map(score);
+  const fingerScores = [...impressions(), ridgeImage(WIDTH, HEIGHT)].map(score);
+
+  assert.ok(blankScore < noiseScore, `blank ${blankScore}, noise ${noiseScore}`);
+  assert.ok(noiseScore < Math.min(...syntheticScores), `noise ${noiseScore}, synthetic ${syntheticScores}`);
+  assert.ok(Math.max(...syntheticScores) < Math.min(...fingerScores), `synthetic ${syntheticScores}, finger-like ${fingerScores}`);
+});
+
+test('quality scores and features stay within 0-100', () => {
+  for (const image of [blank, noise, ridgeImage(WIDTH, HEIGHT)]) {
+    const assessment = assessQuality(image, WIDTH, HEIGHT);
+    assert.ok(assessment.score >= 0 && assessment.score <= 100, `score ${assessment.score}`);
+    for (const [feature, value] of Object.entries(assessment.features)) {
+      assert.ok(value >= 0 && value <= 100, `${feature} ${value}`);
+    }
+  }
+});
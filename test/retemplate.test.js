@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprint-test-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.db');
+
+const db = require('../src/database');
+const wsq = require('../src/wsq');
+const retemplate = require('../src/retemplate');
+const { getEngine, DEFAULT_ENGINE } = require('../src/engines');
+const { ridgeImage } = require('./fixtures');
+
+const WIDTH = 260;
+const HEIGHT = 300;
+const THRESHOLD = 60;
+const minutiae = getEngine(DEFAULT_ENGINE);
+
+// Fixture seeds whose images both engines match comfortably against a
+// shifted copy, one per finger
+const SEEDS = [4, 6, 7, 10];
+
+before(() => {
+  db.prepare("INSERT INTO users (id, name) VALUES ('user-1', 'Re-template Test')").run();
+  const insert = db.prepare(`
+    INSERT INTO fingerprints (id, user_id, finger_index, template, quality, template_version, image)
+    VALUES (?, 'user-1', ?, ?, 80, 'minutiae-1', ?)
+  `);
+  for (let finger = 0; finger < 4; finger++) {
+    const image = ridgeImage(WIDTH, HEIGHT, { seed: SEEDS[finger] });
+    insert.run(`finger-${finger}`, finger, minutiae.extract(image, WIDTH, HEIGHT), wsq.encodeWsq(image, WIDTH, HEIGHT));
+  }
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function runJob(engine) {
+  return new Promise(resolve => {
+    retemplate.events.once('done', resolve);
+    retemplate.start(engine, { threshold: THRESHOLD });
+  });
+}
+
+function storedVersions() {
+  return db.prepare('SELECT template_version FROM fingerprints ORDER BY finger_index').all()
+    .map(row => row.template_version);
+}
+
+test('an extractor that gives every finger the same template is rolled back', async () => {
+  // Every template matches itself under any shift, so only another finger
+  // can show it up
+  const constant = minutiae.extract(ridgeImage(WIDTH, HEIGHT, { seed: SEEDS[0] }), WIDTH, HEIGHT);
+  const broken = { ...minutiae, name: 'broken', version: 'broken-1', extract: () => constant };
+
+  const job = await runJob(broken);
+
+  assert.strictEqual(job.status, retemplate.JOB_STATUS.ROLLED_BACK);
+  assert.strictEqual(job.applied, 0);
+  assert.ok(job.failed > 0);
+  assert.match(job.failures[0].error, /another finger/);
+  assert.deepStrictEqual(storedVersions(), ['minutiae-1', 'minutiae-1', 'minutiae-1', 'minutiae-1']);
+});
+
+test('a new version of the engine is applied when every template passes', async () => {
+  const job = await runJob(minutiae);
+
+  assert.strictEqual(job.status, retemplate.JOB_STATUS.COMPLETED, JSON.stringify(job.failures));
+  assert.strictEqual(job.applied, 4);
+  assert.deepStrictEqual(storedVersions(), [minutiae.version, minutiae.version, minutiae.version, minutiae.version]);
+});
+
+test('a change of engine is checked against the previous engine and applied', async () => {
+  const neighbours = getEngine('neighbours');
+  const job = await runJob(neighbours);
+
+  assert.strictEqual(job.status, retemplate.JOB_STATUS.COMPLETED, JSON.stringify(job.failures));
+  assert.strictEqual(job.applied, 4);
+  assert.strictEqual(retemplate.countPending(neighbours.version), 0);
+});
+
+test('an archived image of the wrong finger rolls the whole job back', async () => {
+  db.prepare("UPDATE fingerprints SET template_version = 'neighbours-0' WHERE finger_index IN (0, 1)").run();
+  db.prepare("UPDATE fingerprints SET image = ? WHERE finger_index = 1")
+    .run(wsq.encodeWsq(ridgeImage(WIDTH, HEIGHT, { seed: 8 }), WIDTH, HEIGHT));
+
+  const job = await runJob(getEngine('neighbours'));
+
+  assert.strictEqual(job.status, retemplate.JOB_STATUS.ROLLED_BACK);
+  assert.strictEqual(job.failed, 1);
+  assert.strictEqual(job.failures[0].fingerprintId, 'finger-1');
+  assert.match(job.failures[0].error, /stored template/);
+  assert.deepStrictEqual(storedVersions().slice(0, 2), ['neighbours-0', 'neighbours-0']);
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// Two virtual scanners, reconnected without delay
+process.env.SCANNER_DRIVER = 'simulator';
+process.env.SIMULATOR_DEVICES = '2';
+process.env.RECONNECT_BASE_DELAY_MS = '1';
+process.env.RECONNECT_MAX_DELAY_MS = '1';
+
+const simulator = require('../src/simulator');
+const registry = require('../src/scanner-registry');
+
+before(async () => {
+  await registry.start();
+});
+
+after(() => registry.stop());
+
+function deviceIds() {
+  return registry.list().map(status => status.deviceId).sort();
+}
+
+function nextEvent(event, deviceId) {
+  return new Promise(resolve => {
+    let done = false;
+    registry.on(event, data => {
+      if (!done && data.deviceId === deviceId) {
+        done = true;
+        resolve(data);
+      }
+    });
+  });
+}
+
+test('discovers every attached scanner by serial number', () => {
+  assert.deepStrictEqual(deviceIds(), ['SIM0001', 'SIM0002']);
+  assert.ok(registry.list().every(status => status.connected));
+});
+
+test('follows a scanner that is unplugged and plugged back in', async () => {
+  const device = simulator.get('SIM0002');
+
+  device.dispatch({ type: 'unplug' });
+  assert.deepStrictEqual(deviceIds(), ['SIM0001']);
+
+  const connected = nextEvent('connected', 'SIM0002');
+  device.dispatch({ type: 'plug' });
+  await connected;
+  assert.deepStrictEqual(deviceIds(), ['SIM0001', 'SIM0002']);
+  assert.ok(registry.get('SIM0002').owns(device));
+});
+
+test('ignores an attach for a device already tracked', () => {
+  const attached = [];
+  registry.on('attached', data => attached.push(data));
+
+  // A repeated hot-plug event for the same device
+  simulator.usb.emit('attach', simulator.get('SIM0001'));
+
+  assert.deepStrictEqual(attached, []);
+  assert.deepStrictEqual(deviceIds(), ['SIM0001', 'SIM0002']);
+});
+
+test('drops a second device reporting a serial already tracked', async () => {
+  const original = simulator.get('SIM0001');
+  const tracked = registry.get('SIM0001');
+
+  // The same serial at another bus address
+  const twin = Object.assign(Object.create(Object.getPrototypeOf(original)), original, {
+    deviceAddress: 99,
+    opened: false
+  });
+  const disconnected = [];
+  registry.on('disconnected', data => disconnected.push(data));
+  simulator.usb.emit('attach', twin);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.strictEqual(registry.get('SIM0001'), tracked);
+  assert.deepStrictEqual(deviceIds(), ['SIM0001', 'SIM0002']);
+  assert.deepStrictEqual(disconnected, []);
+});
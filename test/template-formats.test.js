@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getEngine, DEFAULT_ENGINE } = require('../src/engines');
+const { TEMPLATE_FORMAT, writeRecord, readRecord } = require('../src/template-formats');
+const { ridgeImage } = require('./fixtures');
+
+const WIDTH = 260;
+const HEIGHT = 300;
+
+const engine = getEngine(DEFAULT_ENGINE);
+const template = engine.extract(ridgeImage(WIDTH, HEIGHT, { seed: 1 }), WIDTH, HEIGHT);
+const minutiae = engine.parseMinutiae(template);
+
+// ANSI 378: 26-byte header, 4-byte finger view header, then 6 bytes per
+// minutia with the angle in the fifth
+const ANSI_FIRST_ANGLE = 26 + 4 + 4;
+
+/**
+ * Difference between two template angle bytes. 0 and 255 are both a half
+ * turn.
+ */
+function angleSteps(a, b) {
+  const difference = Math.abs(a - b);
+  return Math.min(difference, 255 - difference);
+}
+
+function roundTrip(format) {
+  const record = engine.exportTemplate(template, format, { fingerIndex: 6, quality: 77 });
+  const imported = engine.importTemplate(record);
+  return { record, imported, minutiae: engine.parseMinutiae(imported.template) };
+}
+
+test('ISO 19794-2 records round-trip positions, types and angles exactly', () => {
+  const { imported, minutiae: restored } = roundTrip(TEMPLATE_FORMAT.ISO);
+
+  assert.strictEqual(imported.format, TEMPLATE_FORMAT.ISO);
+  assert.strictEqual(imported.fingerIndex, 6);
+  assert.strictEqual(imported.quality, 77);
+  assert.deepStrictEqual(engine.validate(imported.template), engine.validate(template));
+  restored.forEach((minutia, i) => {
+    assert.deepStrictEqual({ ...minutia, angle: 0 }, { ...minutiae[i], angle: 0 });
+    assert.strictEqual(angleSteps(minutia.angle, minutiae[i].angle), 0, `minutia ${i}: ${minutia.angle} vs ${minutiae[i].angle}`);
+  });
+});
+
+test('ANSI 378 records round-trip positions and types, and angles to the 2° step', () => {
+  const { imported, minutiae: restored } = roundTrip(TEMPLATE_FORMAT.ANSI);
+
+  assert.strictEqual(imported.format, TEMPLATE_FORMAT.ANSI);
+  assert.strictEqual(imported.fingerIndex, 6);
+  assert.strictEqual(imported.quality, 77);
+  assert.strictEqual(restored.length, minutiae.length);
+  restored.forEach((minutia, i) => {
+    assert.deepStrictEqual({ ...minutia, angle: 0 }, { ...minutiae[i], angle: 0 });
+    // 2° is under one and a half template steps (360/255°)
+    assert.ok(angleSteps(minutia.angle, minutiae[i].angle) <= 1, `minutia ${i}: ${minutia.angle} vs ${minutiae[i].angle}`);
+  });
+});
+
+test('ANSI 378 angles are stored in 2° steps', () => {
+  // Template angles run clockwise from the x axis, -180° (0) to 180° (255):
+  // 64 is about -90°, pointing up the image
+  const record = writeRecord(TEMPLATE_FORMAT.ANSI, {
+    width: WIDTH,
+    height: HEIGHT,
+    dpi: 500,
+    minutiae: [{ x: 10, y: 20, angle: 64, type: minutiae[0].type }],
+    fingerIndex: null,
+    quality: 0
+  });
+
+  // 90° counter-clockwise, as the record counts them, in 2° steps
+  assert.strictEqual(record[ANSI_FIRST_ANGLE], 45);
+
+  record[ANSI_FIRST_ANGLE] = 179;
+  const [minutia] = readRecord(record).minutiae;
+  assert.strictEqual(angleSteps(minutia.angle, 129), 0, `358° read as ${minutia.angle}`);
+});
+
+test('truncated records are rejected', () => {
+  for (const format of [TEMPLATE_FORMAT.ISO, TEMPLATE_FORMAT.ANSI]) {
+    const record = engine.exportTemplate(template, format);
+    const truncated = record.slice(0, record.length - 8);
+    assert.throws(() => engine.importTemplate(truncated), error => error.code === 'INVALID_TEMPLATE', format);
+
+    // Even when the length field agrees, the declared minutiae must be there
+    if (format === TEMPLATE_FORMAT.ISO) {
+      truncated.writeUInt32BE(truncated.length, 8);
+    } else {
+      truncated.writeUInt16BE(truncated.length, 8);
+    }
+    assert.throws(() => readRecord(truncated), /truncated/, format);
+  }
+});
+
+test('ANSI 378 angles past 358° are rejected', () => {
+  const record = engine.exportTemplate(template, TEMPLATE_FORMAT.ANSI);
+  record[ANSI_FIRST_ANGLE] = 180;
+
+  assert.throws(() => engine.importTemplate(record), error => error.code === 'INVALID_TEMPLATE' && /invalid angle/.test(error.message));
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Record a virtual scanner with a finger resting on it
+process.env.SCANNER_DRIVER = 'simulator';
+process.env.SIMULATOR_FINGER = 'sim-01:1';
+
+const usb = require('../src/usb');
+const recorder = require('../src/usb-recorder');
+const usbReplay = require('../src/usb-replay');
+const { SecuGenScanner } = require('../src/fingerprint');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usb-replay-test-'));
+const file = path.join(dir, 'session.jsonl');
+
+let recorded;
+
+before(async () => {
+  recorder.start(file, 'simulator');
+  const scanner = new SecuGenScanner(usb.getDeviceList()[0]);
+  try {
+    assert.ok((await scanner.connect()).success);
+    recorded = await scanner.capture({ timeout: 2000 });
+    await scanner.disconnect();
+  } finally {
+    recorder.stop();
+  }
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a replayed session delivers the recorded capture, call for call', async () => {
+  const replay = usbReplay.load(file);
+  const scanner = new SecuGenScanner(replay.getDeviceList()[0]);
+
+  const connected = await scanner.connect();
+  assert.ok(connected.success, connected.error);
+  assert.strictEqual(scanner.deviceId, 'SIM0001');
+
+  const captured = await scanner.capture({ timeout: 2000 });
+  await scanner.disconnect();
+
+  assert.strictEqual(captured.image, recorded.image);
+  assert.strictEqual(captured.template, recorded.template);
+  assert.strictEqual(captured.quality, recorded.quality);
+
+  const summary = replay.summary();
+  assert.deepStrictEqual(summary.mismatches, []);
+  assert.strictEqual(summary.remaining, 0);
+});
+
+test('a call the recording does not expect fails with REPLAY_MISMATCH', async () => {
+  const replay = usbReplay.load(file);
+  const scanner = new SecuGenScanner(replay.getDeviceList()[0]);
+  assert.ok((await scanner.connect()).success);
+
+  // Vendor OUT 0x02 sets the brightness; the recording goes on to turn the
+  // LED on for the capture
+  await assert.rejects(scanner.controlTransfer(0x40, 0x02, 99, 0), error => error.code === 'REPLAY_MISMATCH');
+  assert.strictEqual(replay.summary().mismatches.length, 1);
+});
+
+test('calls past the end of the recording fail with REPLAY_EXHAUSTED', async () => {
+  const replay = usbReplay.load(file);
+  const scanner = new SecuGenScanner(replay.getDeviceList()[0]);
+  assert.ok((await scanner.connect()).success);
+  await scanner.capture({ timeout: 2000 });
+  await scanner.disconnect();
+
+  const reconnected = await scanner.connect();
+  assert.strictEqual(reconnected.success, false);
+  assert.match(reconnected.error, /REPLAY_EXHAUSTED/);
+});
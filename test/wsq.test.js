@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const wsq = require('../src/wsq');
+const config = require('../src/config');
+const { getEngine, DEFAULT_ENGINE } = require('../src/engines');
+const { createRandom, ridgeImage } = require('./fixtures');
+
+const engine = getEngine(DEFAULT_ENGINE);
+
+function psnr(original, decoded) {
+  let squaredError = 0;
+  for (let i = 0; i < original.length; i++) {
+    squaredError += (original[i] - decoded[i]) ** 2;
+  }
+  const mse = squaredError / original.length;
+  return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+}
+
+function roundTrip(width, height, options = {}) {
+  const image = ridgeImage(width, height);
+  const encoded = wsq.encodeWsq(image, width, height, { bitrate: config.wsqBitrate, ...options });
+  return { image, encoded, decoded: wsq.decodeWsq(encoded) };
+}
+
+function assertInvalid(fn) {
+  assert.throws(fn, error => error.code === 'INVALID_WSQ');
+}
+
+for (const [width, height] of [[260, 300], [257, 301]]) {
+  test(`${width}x${height} ridge image survives WSQ at the configured bit rate`, () => {
+    const { image, encoded, decoded } = roundTrip(width, height);
+
+    assert.ok(wsq.isWsq(encoded));
+    assert.ok(encoded.length < image.length / 5, `only compressed to ${encoded.length} bytes`);
+    assert.strictEqual(decoded.width, width);
+    assert.strictEqual(decoded.height, height);
+    assert.strictEqual(decoded.dpi, 500);
+    assert.strictEqual(decoded.imageData.length, width * height);
+    assert.ok(psnr(image, decoded.imageData) >= 30, `PSNR ${psnr(image, decoded.imageData).toFixed(1)} dB`);
+
+    // A template from the decompressed image still matches the original's
+    const threshold = config.securityLevels.NORMAL;
+    const original = engine.extract(image, width, height, 500);
+    const restored = engine.extract(decoded.imageData, decoded.width, decoded.height, decoded.dpi);
+    const { score } = engine.match(original, restored, threshold);
+    assert.ok(score >= threshold, `match score ${score} below ${threshold}`);
+  });
+}
+
+test('odd and minimum sizes keep their dimensions', () => {
+  for (const [width, height] of [[64, 64], [97, 131], [65, 301]]) {
+    const { decoded } = roundTrip(width, height);
+    assert.deepStrictEqual([decoded.width, decoded.height], [width, height]);
+    assert.strictEqual(decoded.imageData.length, width * height);
+  }
+});
+
+test('a higher bit rate gives a closer image', () => {
+  const low = roundTrip(260, 300, { bitrate: 0.75 });
+  const high = roundTrip(260, 300, { bitrate: 2.25 });
+  assert.ok(high.encoded.length > low.encoded.length);
+  assert.ok(psnr(high.image, high.decoded.imageData) > psnr(low.image, low.decoded.imageData));
+});
+
+test('resolution is carried in the file', () => {
+  const { decoded } = roundTrip(128, 128, { dpi: 1000 });
+  assert.strictEqual(decoded.dpi, 1000);
+});
+
+test('flat images decode to the same gray level', () => {
+  for (const level of [0, 200, 255]) {
+    const image = Buffer.alloc(128 * 96, level);
+    const decoded = wsq.decodeWsq(wsq.encodeWsq(image, 128, 96, { bitrate: config.wsqBitrate }));
+    assert.deepStrictEqual([decoded.width, decoded.height], [128, 96]);
+    assert.ok(decoded.imageData.every(p => Math.abs(p - level) <= 1), `level ${level}`);
+  }
+});
+
+test('images the encoder cannot take are rejected', () => {
+  assertInvalid(() => wsq.encodeWsq(Buffer.alloc(63 * 64), 63, 64));
+  assertInvalid(() => wsq.encodeWsq(Buffer.alloc(100), 64, 64));
+  assertInvalid(() => wsq.encodeWsq(Buffer.alloc(64 * 64), 64, 64, { bitrate: 0 }));
+});
+
+test('truncated files are rejected', () => {
+  const { encoded } = roundTrip(97, 131);
+  for (let length = 0; length < encoded.length; length += 13) {
+    assertInvalid(() => wsq.decodeWsq(encoded.subarray(0, length)));
+  }
+  assertInvalid(() => wsq.decodeWsq(encoded.subarray(0, encoded.length - 1)));
+});
+
+test('garbage is rejected', () => {
+  const random = createRandom(7);
+  for (let i = 0; i < 50; i++) {
+    const garbage = Buffer.from(Array.from({ length: 64 + i * 31 }, () => Math.floor(random() * 256)));
+    assertInvalid(() => wsq.decodeWsq(garbage));
+
+    // Past the start-of-image marker too
+    garbage.writeUInt16BE(0xFFA0, 0);
+    assertInvalid(() => wsq.decodeWsq(garbage));
+  }
+  assertInvalid(() => wsq.decodeWsq(Buffer.alloc(0)));
+});